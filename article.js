@@ -0,0 +1,57 @@
+/**
+ * article.js - Renders the HTML article from content.json
+ *
+ * Fills in the page heading and typewriter line, then adds one <section>
+ * per article entry (heading plus a list, with optional nested lists)
+ * above the procedural message. Rendering again (after a locale switch)
+ * replaces the sections from the previous render.
+ *
+ * index.html ships a static copy of the English article. If content.json
+ * couldn't be loaded (opened from file://, a 404, offline) that copy is left
+ * as it is instead of being replaced with empty content.
+ */
+
+/**
+ * Renders the article.
+ * @param {Object} content - Loaded content (see content.js).
+ */
+export function renderArticle({ site, article }) {
+    if (!site.name && article.length === 0) return; // Nothing loaded: keep the static copy
+
+    document.querySelector('article h1').textContent = site.name;
+    document.getElementById('typing-text').textContent = site.tagline;
+
+    document.querySelectorAll('article > section').forEach(section => section.remove());
+
+    const message = document.getElementById('procedural-message');
+    article.forEach(entry => {
+        const section = document.createElement('section');
+        section.id = entry.id;
+
+        const heading = document.createElement('h4');
+        heading.textContent = entry.heading;
+        section.append(heading, createList(entry.items));
+
+        message.before(section);
+    });
+}
+
+/**
+ * Builds a <ul>; items can be strings or { text, items } for a nested list.
+ * @param {Array} items - List items.
+ * @returns {HTMLUListElement} The list.
+ */
+function createList(items) {
+    const list = document.createElement('ul');
+    items.forEach(item => {
+        const li = document.createElement('li');
+        if (typeof item === 'string') {
+            li.textContent = item;
+        } else {
+            li.append(item.text);
+            if (item.items) li.append(createList(item.items));
+        }
+        list.append(li);
+    });
+    return list;
+}
@@ -0,0 +1,389 @@
+/**
+ * content.js - The site's content, loaded from content.json
+ *
+ * content.json is the single source for everything the visitor reads:
+ * - site:    Name and tagline (page heading and typewriter line)
+ * - ui:      Button labels, the intro prompt and other interface text
+ * - story:   Title, sentence template and word lists of the story generator (see message.js)
+ * - article: Sections of the HTML article (see article.js)
+ * - tree:    Sections shown as labels in tree mode (see tree/content.js)
+ *
+ * Translations live next to it as content.<locale>.json (content.zh.json)
+ * with the same shape. Anything a translation leaves out, or gets wrong,
+ * falls back to content.json. The locale comes from the visitor's choice in
+ * the nav (kept in localStorage), else navigator.language, else English.
+ *
+ * Each file is checked against CONTENT_SCHEMA when it loads. Problems are
+ * listed in the console with their path (content.tree[4].detail[0].action.type);
+ * sections that fail are skipped so the rest of the site still renders.
+ * On localhost every problem is printed, elsewhere just a one-line summary.
+ */
+
+// Locales with a content file, and their name as shown in the nav
+export const LOCALES = {
+    en: 'English',
+    zh: '中文'
+};
+const DEFAULT_LOCALE = 'en';
+
+const IS_DEV = ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+const EMPTY_CONTENT = { site: { name: '', tagline: '' }, ui: {}, story: {}, article: [], tree: [] };
+const responses = new Map(); // File URL -> Promise of its parsed JSON (or null)
+const loaded = new Map();    // Locale -> Promise of its validated content, so each file's problems are reported once
+
+// === Schema ===
+// A small JSON-schema-like description: type, enum, required, properties,
+// items, anyOf. Objects reject unknown keys so typos get reported.
+const STRING = { type: 'string' };
+const NUMBER = { type: 'number' };
+
+const ACTION = {
+    type: 'object',
+    required: ['type', 'value'],
+    properties: {
+        type: { enum: ['mailto', 'url', 'copy', 'section'] },
+        value: { type: ['string', 'number'] }
+    }
+};
+
+const DETAIL_ENTRY = {
+    anyOf: [STRING, { type: 'object', required: ['text'], properties: { text: STRING, action: ACTION } }]
+};
+
+const PANEL = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { enum: ['card', 'image', 'video'] },
+        title: STRING,
+        blurb: STRING,
+        image: STRING,
+        link: STRING,
+        src: STRING,
+        loop: { type: 'boolean' },
+        width: NUMBER,
+        aspect: NUMBER,
+        mount: { enum: ['trunk', 'branch'] },
+        angle: NUMBER,
+        y: NUMBER
+    }
+};
+
+const TREE_SECTION = {
+    type: 'object',
+    required: ['str', 'x', 'y', 'z'],
+    properties: {
+        id: STRING,
+        str: STRING,
+        x: NUMBER,
+        y: NUMBER,
+        z: NUMBER,
+        detail: { anyOf: [DETAIL_ENTRY, { type: 'array', items: DETAIL_ENTRY }] },
+        action: ACTION,
+        align: { enum: ['left', 'center', 'right'] },
+        maxWidth: NUMBER,
+        panels: { type: 'array', items: PANEL },
+        fixed: { type: 'boolean' },
+        dwell: NUMBER
+    }
+};
+
+const UI = {
+    type: 'object',
+    required: ['darkMode', 'lightMode', 'treeMode', 'exitTree', 'switchLanguage', 'introPrompt',
+        'previousSection', 'nextSection', 'loadingLabels', 'fontsUnavailable', 'copied',
+        'autoTour', 'pauseTour', 'resumeTour', 'gamepadConnected', 'gamepadDisconnected',
+        'reduceMotion', 'fullMotion', 'sections', 'canopy', 'openLink'],
+    properties: {
+        darkMode: STRING,
+        lightMode: STRING,
+        treeMode: STRING,
+        exitTree: STRING,
+        switchLanguage: STRING,
+        introPrompt: STRING,
+        previousSection: STRING,
+        nextSection: STRING,
+        loadingLabels: STRING,
+        fontsUnavailable: STRING,
+        copied: STRING,
+        autoTour: STRING,
+        pauseTour: STRING,
+        resumeTour: STRING,
+        gamepadConnected: STRING,
+        gamepadDisconnected: STRING,
+        reduceMotion: STRING,
+        fullMotion: STRING,
+        sections: STRING,
+        canopy: STRING,
+        openLink: STRING
+    }
+};
+
+const WORDS = { type: 'array', items: STRING };
+
+const STORY = {
+    type: 'object',
+    required: ['title', 'template', 'adjectives', 'nouns', 'verbPhrases', 'contexts'],
+    properties: {
+        title: STRING,
+        template: STRING,
+        adjectives: WORDS,
+        nouns: WORDS,
+        verbPhrases: WORDS,
+        contexts: WORDS
+    }
+};
+
+const ARTICLE_ITEM = {
+    anyOf: [STRING, {
+        type: 'object',
+        required: ['text'],
+        properties: { text: STRING, items: { type: 'array', items: STRING } }
+    }]
+};
+
+const ARTICLE_SECTION = {
+    type: 'object',
+    required: ['id', 'heading', 'items'],
+    properties: {
+        id: STRING,
+        heading: STRING,
+        items: { type: 'array', items: ARTICLE_ITEM }
+    }
+};
+
+export const CONTENT_SCHEMA = {
+    type: 'object',
+    required: ['site', 'ui', 'story', 'article', 'tree'],
+    properties: {
+        site: {
+            type: 'object',
+            required: ['name', 'tagline'],
+            properties: { name: STRING, tagline: STRING }
+        },
+        ui: UI,
+        story: STORY,
+        article: { type: 'array', items: ARTICLE_SECTION },
+        tree: { type: 'array', items: TREE_SECTION }
+    }
+};
+
+/**
+ * Checks a value against a schema.
+ * @param {*} value - The value to check.
+ * @param {Object} [schema=CONTENT_SCHEMA] - Schema to check against.
+ * @param {string} [path='content'] - Where the value sits, for messages.
+ * @returns {string[]} Problems found (empty if valid).
+ */
+export function validateContent(value, schema = CONTENT_SCHEMA, path = 'content') {
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => validateContent(value, option, path).length === 0);
+        if (matches) return [];
+        // Report against the option that matches the value's type, if any
+        const closest = schema.anyOf.find(option => option.type && typeMatches(value, option.type));
+        return closest
+            ? validateContent(value, closest, path)
+            : [`${path}: expected ${schema.anyOf.map(describe).join(' or ')}, got ${typeOf(value)}`];
+    }
+
+    if (schema.enum) {
+        return schema.enum.includes(value)
+            ? []
+            : [`${path}: expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`];
+    }
+
+    if (!typeMatches(value, schema.type)) {
+        return [`${path}: expected ${describe(schema)}, got ${typeOf(value)}`];
+    }
+
+    if (schema.type === 'array') {
+        return value.flatMap((item, index) => validateContent(item, schema.items, `${path}[${index}]`));
+    }
+
+    if (schema.type === 'object') {
+        const errors = [];
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${path}: missing "${key}"`);
+        });
+        Object.keys(value).forEach(key => {
+            const property = schema.properties[key];
+            if (!property) {
+                errors.push(`${path}: unknown field "${key}"`);
+            } else {
+                errors.push(...validateContent(value[key], property, `${path}.${key}`));
+            }
+        });
+        return errors;
+    }
+
+    return [];
+}
+
+/**
+ * Picks the starting locale: the saved choice, else the first browser
+ * language with a content file, else the default.
+ * @returns {string} A key of LOCALES.
+ */
+export function resolveLocale() {
+    const saved = localStorage.getItem('locale');
+    if (saved in LOCALES) return saved;
+
+    const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+    const match = languages
+        .map(language => (language || '').toLowerCase().split('-')[0])
+        .find(language => language in LOCALES);
+    return match ?? DEFAULT_LOCALE;
+}
+
+/**
+ * Switches the content to another locale and remembers the choice.
+ * Importers see the new `content` right away (it's a live binding);
+ * re-render anything that was built from the old one.
+ * @param {string} next - A key of LOCALES.
+ * @returns {Promise<Object>} The new content.
+ */
+export async function setLocale(next) {
+    if (!(next in LOCALES)) throw new Error(`Unknown locale "${next}"`);
+
+    content = await loadContent(next);
+    locale = next;
+    localStorage.setItem('locale', next);
+    document.documentElement.lang = next;
+    return content;
+}
+
+/**
+ * Fills {name} placeholders in a UI string ("Copied {value}").
+ * @param {string} template - The string.
+ * @param {Object} values - Replacement per placeholder name.
+ * @returns {string} The filled-in string.
+ */
+export function formatText(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * A locale's validated content, loaded once; later calls reuse the result.
+ * @param {string} localeKey - A key of LOCALES.
+ * @returns {Promise<{ site: Object, ui: Object, story: Object, article: Object[], tree: Object[] }>} The valid content.
+ */
+function loadContent(localeKey) {
+    if (!loaded.has(localeKey)) loaded.set(localeKey, readContent(localeKey));
+    return loaded.get(localeKey);
+}
+
+/**
+ * Fetches and validates a locale's content, falling back to the default
+ * locale for anything missing or invalid. Never rejects: if even
+ * content.json can't be loaded the result is empty content.
+ * @param {string} localeKey - A key of LOCALES.
+ * @returns {Promise<{ site: Object, ui: Object, story: Object, article: Object[], tree: Object[] }>} The valid content.
+ */
+async function readContent(localeKey) {
+    const base = localeKey === DEFAULT_LOCALE ? EMPTY_CONTENT : await loadContent(DEFAULT_LOCALE);
+    const url = getContentUrl(localeKey);
+    const data = await fetchContent(url);
+    if (!data) return base;
+
+    const file = url.pathname.split('/').pop();
+    const { properties } = CONTENT_SCHEMA;
+    reportErrors(validateContent(data), file);
+
+    return {
+        site: { ...base.site, ...keepValidFields(data.site, properties.site) },
+        ui: { ...base.ui, ...keepValidFields(data.ui, properties.ui) },
+        story: { ...base.story, ...keepValidFields(data.story, properties.story) },
+        article: Array.isArray(data.article) ? keepValid(data.article, properties.article.items) : base.article,
+        tree: Array.isArray(data.tree) ? keepValid(data.tree, properties.tree.items) : base.tree
+    };
+}
+
+/**
+ * @param {string} localeKey - A key of LOCALES.
+ * @returns {URL} content.json for the default locale, content.<locale>.json otherwise.
+ */
+function getContentUrl(localeKey) {
+    const file = localeKey === DEFAULT_LOCALE ? 'content.json' : `content.${localeKey}.json`;
+    return new URL(`./${file}`, import.meta.url);
+}
+
+/**
+ * Fetches a content file once; later calls reuse the result.
+ * @param {URL} url - The file.
+ * @returns {Promise<Object|null>} Its parsed JSON, or null if it couldn't be loaded.
+ */
+function fetchContent(url) {
+    if (!responses.has(url.href)) {
+        responses.set(url.href, fetch(url).then(response => {
+            if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+            return response.json();
+        }).catch(err => {
+            console.error(`Failed to load ${url.pathname}:`, err);
+            return null;
+        }));
+    }
+    return responses.get(url.href);
+}
+
+/**
+ * Keeps the fields of an object that match their schema (for merging over the fallback).
+ * @param {*} value - Object from a content file (anything else gives {}).
+ * @param {Object} schema - Object schema.
+ * @returns {Object} The valid fields.
+ */
+function keepValidFields(value, schema) {
+    if (typeOf(value) !== 'object') return {};
+    return Object.fromEntries(Object.entries(value).filter(([key, field]) => (
+        schema.properties[key] && validateContent(field, schema.properties[key]).length === 0
+    )));
+}
+
+/**
+ * Drops the entries of a top-level list that don't match their schema.
+ * @param {*} list - Array from content.json (anything else gives []).
+ * @param {Object} schema - Schema for one entry.
+ * @returns {Object[]} The valid entries.
+ */
+function keepValid(list, schema) {
+    if (!Array.isArray(list)) return [];
+    return list.filter(entry => validateContent(entry, schema).length === 0);
+}
+
+/**
+ * Prints validation problems: all of them on localhost, a summary elsewhere.
+ * @param {string[]} errors - From validateContent().
+ * @param {string} file - Name of the content file.
+ */
+function reportErrors(errors, file) {
+    if (errors.length === 0) return;
+
+    if (!IS_DEV) {
+        console.warn(`${file} has ${errors.length} problem(s); invalid sections were skipped.`);
+        return;
+    }
+
+    console.group(`${file}: ${errors.length} problem(s), invalid sections were skipped`);
+    errors.forEach(error => console.error(error));
+    console.groupEnd();
+}
+
+function typeMatches(value, type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.includes(typeOf(value));
+}
+
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function describe(schema) {
+    if (schema.enum) return `one of ${schema.enum.join(', ')}`;
+    if (schema.anyOf) return schema.anyOf.map(describe).join(' or ');
+    return Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+}
+
+export let locale = resolveLocale();
+export let content = await loadContent(locale);
+document.documentElement.lang = locale;
@@ -6,16 +6,35 @@
  * - Arrow keys to reposition (rotate around tree, move up/down)
  * - H/V to mirror horizontally/vertically
  * - C to copy coordinates to clipboard
+ * - G to download the tree, labels and moon as a .glb (see tree/gltf.js)
+ *
+ * Camera path (Edit Mode, drawn as a line with a dot per keyframe):
+ * - K to add a keyframe at the current camera, U to move the selected one there
+ * - [ / ] to select the previous/next keyframe (the camera jumps to it)
+ * - Delete to remove it, O to toggle it as a stop, I to cycle its easing
+ * - - / = to change its FOV, 9 / 0 to roll it
+ * - P to preview the whole path, X to download it as camera-path.json
+ *   (load it with ?path=camera-path.json, see tree/cameraPath.js)
  *
  * Press F to toggle Free Camera Mode:
  * - WASD to move, mouse to look (pointer lock)
  * - Q/E for vertical movement
  * - Scroll to move up/down
+ * - Or a gamepad: left stick to move, right stick to look, triggers to
+ *   rise/sink (see tree/gamepad.js)
+ *
+ * The current tree seed is shown in the edit panel so a good-looking tree
+ * can be kept by adding ?seed=<value> to the URL.
  *
  * These tools are for development - positions are logged to console on exit.
+ * disposeEditor() removes every listener initEditor() added.
  */
 
 import * as THREE from 'three';
+import { downloadGLB } from './tree/gltf.js';
+import { getCameraKeyframes, setCameraKeyframes, previewCameraPath, onCameraPathChange } from './tree/camera.js';
+import { createCameraPath, getPathPoints, serializeCameraPath, EASINGS } from './tree/cameraPath.js';
+import { getDelta } from './tree/clock.js';
 
 // === Edit Mode State ===
 let isEditMode = false;
@@ -23,15 +42,30 @@ let selectedMesh = null;
 let isDragging = false;
 let movementMode = 'polar'; // 'polar' (default) or 'cartesian'
 
+// === Camera Path State ===
+let selectedKeyframe = -1;
+let pathHelper = null; // Line and keyframe dots, shown in edit mode
+const PATH_COLOR = 0xffcc33;
+const STOP_COLOR = 0xff5533;
+const SELECTED_COLOR = 0x33ccff;
+const FOV_STEP = 5;                        // Degrees
+const ROLL_STEP = THREE.MathUtils.degToRad(5);
+
 // === Free Camera State ===
 let isFreeCameraMode = false;
 const keys = {};  // Track pressed keys for WASD movement
+const FREE_CAMERA_SPEED = 30; // Units per second
+const FREE_CAMERA_TURN_SPEED = 2; // Radians per second with the right stick all the way over
+const analog = { forward: 0, strafe: 0, rise: 0, yaw: 0, pitch: 0 }; // Gamepad sticks, -1 to 1 (see setFreeCameraAnalog)
 
 // === Three.js References (set by initEditor) ===
 let scene, camera, renderer, textMeshes, getIsTreeModeActive;
 
+// Aborting this removes every listener added by initEditor()
+let listenerController = null;
+
 // === DOM References ===
-let positionDisplay, positionCoords;
+let positionDisplay, positionCoords, seedDisplay, pathDisplay;
 
 // === Input Helpers ===
 let raycaster = new THREE.Raycaster();
@@ -46,20 +80,81 @@ export function initEditor(sceneRef, cameraRef, rendererRef, textMeshesRef, getI
 
     positionDisplay = document.getElementById('position-display');
     positionCoords = document.getElementById('position-coords');
+    seedDisplay = document.getElementById('tree-seed');
+    pathDisplay = document.getElementById('camera-path-info');
+
+    listenerController = new AbortController();
 
     console.log(`Editor initialized with ${textMeshes.length} meshes.`);
-    setupEditMode();
-    setupFreeCameraListeners();
+    setupEditMode(listenerController.signal);
+    setupFreeCameraListeners(listenerController.signal);
+    onCameraPathChange(drawCameraPath); // Keep the drawn line on the path the camera flies
+}
+
+/**
+ * Removes all editor listeners and resets edit/free camera state.
+ * Called when tree mode is torn down; initEditor() can run again afterwards.
+ */
+export function disposeEditor() {
+    if (listenerController) {
+        listenerController.abort();
+        listenerController = null;
+    }
+
+    if (renderer && document.pointerLockElement === renderer.domElement) {
+        document.exitPointerLock();
+    }
+    if (positionDisplay) positionDisplay.style.display = 'none';
+    onCameraPathChange(null);
+    removeCameraPath();
+
+    isEditMode = false;
+    isFreeCameraMode = false;
+    isDragging = false;
+    selectedMesh = null;
+    selectedKeyframe = -1;
+    Object.keys(keys).forEach(key => delete keys[key]);
+    setFreeCameraAnalog(null);
+
+    scene = camera = renderer = textMeshes = null;
+}
+
+/**
+ * Shows the seed (and species) the current tree was generated with in the edit panel.
+ * @param {number|string} seed - The tree seed.
+ * @param {string} [speciesName] - Display name of the species preset.
+ */
+export function setTreeSeed(seed, speciesName) {
+    if (!seedDisplay) return;
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('seed', seed);
+    const species = speciesName ? ` | <strong>Species:</strong> ${speciesName}` : '';
+    seedDisplay.innerHTML = `<strong>Seed:</strong> ${seed} (<a href="${url.href}">link</a>)${species}`;
 }
 
 export function isFreeCamera() {
     return isFreeCameraMode;
 }
 
+export function isEditing() {
+    return isEditMode;
+}
+
+/**
+ * Analog free camera input from a gamepad (see tree/gamepad.js), added to
+ * the keys and mouse in updateFreeCameraMovement().
+ * @param {Object|null} input - Any of forward, strafe (right), rise, yaw (left)
+ *   and pitch (up), each -1 to 1; null to let go of the sticks.
+ */
+export function setFreeCameraAnalog(input) {
+    Object.keys(analog).forEach(key => { analog[key] = input?.[key] ?? 0; });
+}
+
 export function updateFreeCameraMovement() {
     if (!isFreeCameraMode) return;
 
-    const freeCameraSpeed = 0.5;
+    const freeCameraSpeed = FREE_CAMERA_SPEED * getDelta();
     const forward = new THREE.Vector3();
     const right = new THREE.Vector3();
 
@@ -70,6 +165,11 @@ export function updateFreeCameraMovement() {
 
     right.crossVectors(forward, new THREE.Vector3(0, 1, 0)).normalize();
 
+    // Gamepad sticks: speed follows how far they are pushed
+    camera.position.addScaledVector(forward, analog.forward * freeCameraSpeed);
+    camera.position.addScaledVector(right, analog.strafe * freeCameraSpeed);
+    camera.position.y += analog.rise * freeCameraSpeed;
+
     // Apply WASD movement
     if (keys['w']) {
         camera.position.add(forward.multiplyScalar(freeCameraSpeed));
@@ -92,26 +192,44 @@ export function updateFreeCameraMovement() {
         camera.position.y -= freeCameraSpeed;
     }
 
-    // Mouse Look is handled in the mousemove listener directly updating camera.rotation
+    // Mouse Look is handled in the mousemove listener; the right stick turns here
+    const turn = FREE_CAMERA_TURN_SPEED * getDelta();
+    if (analog.yaw || analog.pitch) turnCamera(analog.yaw * turn, analog.pitch * turn);
 }
 
-function setupFreeCameraListeners() {
+/**
+ * Turns the free camera FPS style.
+ * @param {number} yaw - Radians to the left.
+ * @param {number} pitch - Radians up (clamped to straight up/down).
+ */
+function turnCamera(yaw, pitch) {
+    camera.rotation.y += yaw;
+    camera.rotation.x += pitch;
+
+    // Clamp pitch
+    camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, camera.rotation.x));
+
+    // Ensure rotation order is YXZ to prevent gimbal lock issues for FPS style
+    camera.rotation.order = 'YXZ';
+}
+
+function setupFreeCameraListeners(signal) {
     window.addEventListener('keydown', (e) => {
         if (isFreeCameraMode && getIsTreeModeActive()) {
             keys[e.key.toLowerCase()] = true;
         }
-    });
+    }, { signal });
 
     window.addEventListener('keyup', (e) => {
         keys[e.key.toLowerCase()] = false;
-    });
+    }, { signal });
 
     // Mouse Look Listeners (Pointer Lock)
     renderer.domElement.addEventListener('click', () => {
         if (isFreeCameraMode && getIsTreeModeActive()) {
             renderer.domElement.requestPointerLock();
         }
-    });
+    }, { signal });
 
     window.addEventListener('mousemove', (e) => {
         if (!isFreeCameraMode || !getIsTreeModeActive()) return;
@@ -123,18 +241,11 @@ function setupFreeCameraListeners() {
         const deltaX = e.movementX || e.mozMovementX || e.webkitMovementX || 0;
         const deltaY = e.movementY || e.mozMovementY || e.webkitMovementY || 0;
 
-        camera.rotation.y -= deltaX * sensitivity;
-        camera.rotation.x -= deltaY * sensitivity;
-
-        // Clamp pitch
-        camera.rotation.x = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, camera.rotation.x));
-
-        // Ensure rotation order is YXZ to prevent gimbal lock issues for FPS style
-        camera.rotation.order = 'YXZ';
-    });
+        turnCamera(-deltaX * sensitivity, -deltaY * sensitivity);
+    }, { signal });
 }
 
-function setupEditMode() {
+function setupEditMode(signal) {
     // Keyboard controls
     window.addEventListener('keydown', (e) => {
         if (!getIsTreeModeActive()) return;
@@ -144,10 +255,13 @@ function setupEditMode() {
             isEditMode = !isEditMode;
             positionDisplay.style.display = isEditMode ? 'block' : 'none';
 
-            if (!isEditMode) {
+            if (isEditMode) {
+                drawCameraPath();
+            } else {
                 // Export positions when exiting edit mode
                 exportTextPositions();
                 selectedMesh = null;
+                removeCameraPath();
             }
             return;
         }
@@ -190,6 +304,13 @@ function setupEditMode() {
             return;
         }
 
+        // Export Scene as .glb (G)
+        if ((e.key === 'g' || e.key === 'G') && isEditMode) {
+            e.preventDefault();
+            exportSceneGLB();
+            return;
+        }
+
         // Toggle Movement Mode (T)
         if ((e.key === 't' || e.key === 'T') && isEditMode) {
             movementMode = movementMode === 'polar' ? 'cartesian' : 'polar';
@@ -198,6 +319,9 @@ function setupEditMode() {
             return;
         }
 
+        // Camera path keys
+        if (isEditMode && handlePathKey(e)) return;
+
         // Only allow other controls if in edit mode and have a selected mesh
         if (!isEditMode || !selectedMesh) return;
 
@@ -334,12 +458,12 @@ function setupEditMode() {
         if (updated) {
             updatePositionDisplay();
         }
-    });
+    }, { signal });
 
     // Mouse events for selection and dragging
-    renderer.domElement.addEventListener('mousedown', onMouseDown);
-    renderer.domElement.addEventListener('mousemove', onMouseMove);
-    renderer.domElement.addEventListener('mouseup', onMouseUp);
+    renderer.domElement.addEventListener('mousedown', onMouseDown, { signal });
+    renderer.domElement.addEventListener('mousemove', onMouseMove, { signal });
+    renderer.domElement.addEventListener('mouseup', onMouseUp, { signal });
 }
 
 function onMouseDown(event) {
@@ -428,7 +552,12 @@ function updatePositionDisplay() {
             H : Mirror horizontally<br>
             V : Mirror vertically<br>
             C : Copy coordinates<br>
-            F : Toggle free camera
+            G : Download .glb<br>
+            F : Toggle free camera<br>
+            K / U / Del : Add / update / remove keyframe<br>
+            [ ] : Previous / next keyframe<br>
+            O / I : Stop / easing, - = : FOV, 9 0 : Roll<br>
+            P : Preview path, X : Export path
         </small>
         <hr style="margin: 8px 0; border: 1px solid #444;">
         <small>
@@ -437,6 +566,214 @@ function updatePositionDisplay() {
     `;
 }
 
+// === Camera Path Editing ===
+
+/**
+ * Runs a camera path key (see the header).
+ * @param {KeyboardEvent} e - The key event.
+ * @returns {boolean} True if the key was a path key.
+ */
+function handlePathKey(e) {
+    const keyframes = getCameraKeyframes();
+    const selected = keyframes[selectedKeyframe];
+
+    switch (e.key) {
+        case 'k':
+        case 'K':
+            // Insert after the selected keyframe, or at the end
+            selectedKeyframe = selected ? selectedKeyframe + 1 : keyframes.length;
+            keyframes.splice(selectedKeyframe, 0, getKeyframeFromCamera(selected));
+            break;
+        case 'u':
+        case 'U':
+            if (!selected) return true;
+            keyframes[selectedKeyframe] = getKeyframeFromCamera(selected);
+            break;
+        case 'Delete':
+        case 'Backspace':
+            if (!selected) return true;
+            keyframes.splice(selectedKeyframe, 1);
+            selectedKeyframe = Math.min(selectedKeyframe, keyframes.length - 1);
+            break;
+        case '[':
+        case ']':
+            if (keyframes.length === 0) return true;
+            selectedKeyframe = THREE.MathUtils.clamp(selectedKeyframe + (e.key === ']' ? 1 : -1), 0, keyframes.length - 1);
+            jumpToKeyframe(keyframes[selectedKeyframe]);
+            drawCameraPath();
+            return true;
+        case 'o':
+        case 'O':
+            if (!selected) return true;
+            selected.stop = !selected.stop;
+            break;
+        case 'i':
+        case 'I': {
+            if (!selected) return true;
+            const easings = Object.keys(EASINGS);
+            selected.ease = easings[(easings.indexOf(selected.ease || 'linear') + 1) % easings.length];
+            break;
+        }
+        case '-':
+        case '=':
+            if (!selected) return true;
+            selected.fov = THREE.MathUtils.clamp(selected.fov + (e.key === '=' ? FOV_STEP : -FOV_STEP), 10, 120);
+            jumpToKeyframe(selected);
+            break;
+        case '9':
+        case '0':
+            if (!selected) return true;
+            selected.roll = (selected.roll ?? 0) + (e.key === '0' ? ROLL_STEP : -ROLL_STEP);
+            jumpToKeyframe(selected);
+            break;
+        case 'p':
+        case 'P':
+            previewCameraPath();
+            return true;
+        case 'x':
+        case 'X':
+            exportCameraPath(keyframes);
+            return true;
+        default:
+            return false;
+    }
+
+    e.preventDefault();
+    setCameraKeyframes(keyframes); // Redrawn through onCameraPathChange
+    return true;
+}
+
+/**
+ * A keyframe at the camera's current position and view.
+ * @param {Object} [base] - Keyframe whose roll, easing and stop flag to keep.
+ * @returns {Object} The keyframe.
+ */
+function getKeyframeFromCamera(base) {
+    // Look about as far ahead as the trunk is, so look-at targets stay near it
+    const forward = camera.getWorldDirection(new THREE.Vector3());
+    const distance = Math.max(5, Math.hypot(camera.position.x, camera.position.z));
+    const target = camera.position.clone().addScaledVector(forward, distance);
+
+    return {
+        position: camera.position.toArray(),
+        lookAt: target.toArray(),
+        fov: camera.fov,
+        roll: base?.roll ?? 0,
+        ease: base?.ease ?? 'linear',
+        stop: base?.stop ?? false
+    };
+}
+
+/**
+ * Moves the camera to a keyframe and switches to free camera so it stays there.
+ * @param {Object} keyframe - The keyframe.
+ */
+function jumpToKeyframe(keyframe) {
+    camera.position.fromArray(keyframe.position);
+    camera.lookAt(new THREE.Vector3().fromArray(keyframe.lookAt));
+    if (keyframe.roll) camera.rotateZ(keyframe.roll);
+    camera.fov = keyframe.fov;
+    camera.updateProjectionMatrix();
+
+    isFreeCameraMode = true;
+    camera.rotation.order = 'YXZ';
+    camera.rotation.setFromQuaternion(camera.quaternion, 'YXZ');
+}
+
+/**
+ * Draws the active camera path: a line along the spline, a dot per keyframe
+ * (stops larger, the selected one highlighted with a line to its look-at).
+ */
+function drawCameraPath() {
+    removeCameraPath();
+
+    const keyframes = getCameraKeyframes();
+    updatePathDisplay(keyframes);
+    if (!isEditMode || keyframes.length === 0) return;
+
+    const path = createCameraPath(keyframes);
+    pathHelper = new THREE.Group();
+    pathHelper.name = 'camera-path';
+
+    // Drawn on top of the tree so the whole path stays visible
+    const overlay = { depthTest: false, transparent: true };
+    const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(getPathPoints(path)),
+        new THREE.LineBasicMaterial({ color: PATH_COLOR, ...overlay })
+    );
+    pathHelper.add(line);
+
+    keyframes.forEach((keyframe, index) => {
+        const isSelected = index === selectedKeyframe;
+        const color = isSelected ? SELECTED_COLOR : keyframe.stop ? STOP_COLOR : PATH_COLOR;
+        const dot = new THREE.Mesh(
+            new THREE.SphereGeometry(keyframe.stop ? 0.8 : 0.5, 8, 6),
+            new THREE.MeshBasicMaterial({ color, ...overlay })
+        );
+        dot.position.fromArray(keyframe.position);
+        pathHelper.add(dot);
+
+        if (isSelected) {
+            const sight = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints([dot.position, new THREE.Vector3().fromArray(keyframe.lookAt)]),
+                new THREE.LineBasicMaterial({ color: SELECTED_COLOR, ...overlay })
+            );
+            pathHelper.add(sight);
+        }
+    });
+
+    pathHelper.traverse(object => { object.renderOrder = 999; });
+    scene.add(pathHelper);
+}
+
+/**
+ * Removes the drawn camera path and frees it.
+ */
+function removeCameraPath() {
+    if (!pathHelper) return;
+
+    pathHelper.removeFromParent();
+    pathHelper.traverse(object => {
+        if (object.geometry) object.geometry.dispose();
+        if (object.material) object.material.dispose();
+    });
+    pathHelper = null;
+}
+
+/**
+ * Shows the path and the selected keyframe in the edit panel.
+ * @param {Object[]} keyframes - The active keyframes.
+ */
+function updatePathDisplay(keyframes) {
+    if (!pathDisplay) return;
+
+    const stopCount = keyframes.filter(keyframe => keyframe.stop).length;
+    const selected = keyframes[selectedKeyframe];
+    const details = selected
+        ? ` | <strong>Keyframe ${selectedKeyframe + 1}:</strong> ${selected.stop ? 'stop, ' : ''}${selected.ease || 'linear'}, `
+            + `FOV ${selected.fov.toFixed(0)}°, roll ${THREE.MathUtils.radToDeg(selected.roll ?? 0).toFixed(0)}°`
+        : '';
+    pathDisplay.innerHTML = `<strong>Camera path:</strong> ${keyframes.length} keyframes, ${stopCount} stops${details}`;
+}
+
+/**
+ * Downloads the keyframes as camera-path.json and logs them.
+ * @param {Object[]} keyframes - The active keyframes.
+ */
+function exportCameraPath(keyframes) {
+    const json = serializeCameraPath(keyframes);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'camera-path.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    console.log('=== CAMERA PATH ===');
+    console.log(json);
+}
+
 function exportTextPositions() {
     console.log('=== TEXT POSITIONS ===');
     textMeshes.forEach(mesh => {
@@ -447,6 +784,26 @@ function exportTextPositions() {
     console.log('======================');
 }
 
+/**
+ * Downloads the tree (with its labels) and the moon as a .glb.
+ * Labels keep their userData.label, so a re-imported tree stays editable.
+ */
+function exportSceneGLB() {
+    const tree = scene.getObjectByName('tree');
+    const moon = textMeshes.find(m => m.userData.label === "Moon");
+    if (!tree) {
+        console.warn('No tree in the scene to export');
+        return;
+    }
+
+    const seed = tree.userData.seed ?? 'baked';
+    downloadGLB(moon ? [tree, moon] : [tree], `tree-${seed}.glb`).then(() => {
+        console.log('Tree exported as .glb');
+    }).catch(err => {
+        console.error('Failed to export tree:', err);
+    });
+}
+
 function copyCoordinatesToClipboard() {
     if (!selectedMesh) return;
 
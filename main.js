@@ -2,31 +2,42 @@
  * main.js - Entry point and UI handlers for the portfolio site
  *
  * Handles:
+ * - Rendering the article and story generator from content.json
  * - Dark/light mode toggle with localStorage persistence
- * - Tree mode button (activates 3D experience)
- * - Typewriter animation for the intro text
+ * - Language toggle (also kept in localStorage), re-rendering the page text
+ *   and the tree labels in place
+ * - Tree mode button (activates 3D experience); links like #tree/find-me
+ *   open it directly (see tree/route.js)
+ * - Reduced-motion toggle (follows the OS setting until used, see motion.js)
+ * - Typewriter animation for the intro text (skipped with reduced motion)
  */
 
-import { toggleTreeMode, setDarkMode } from './tree/index.js';
+import { toggleTreeMode, onTreeModeChange, initTreeRouting, setDarkMode, refreshTreeContent } from './tree/index.js';
+import { content, locale, LOCALES, setLocale } from './content.js';
+import { renderArticle } from './article.js';
+import { renderMessage } from './message.js';
+import { reducedMotion, setReducedMotion, onReducedMotionChange } from './motion.js';
 
 // === DOM Elements ===
 const darkModeToggle = document.getElementById('dark-mode-toggle');
 const treeModeToggle = document.getElementById('tree-mode-toggle');
+const localeToggle = document.getElementById('locale-toggle');
+const motionToggle = document.getElementById('motion-toggle');
 const body = document.body;
 
+let isTreeModeOn = false;
+
 // === Tree Mode Button ===
 if (treeModeToggle) {
-    treeModeToggle.addEventListener('click', () => {
-        toggleTreeMode();
-        // Toggle button text
-        if (treeModeToggle.textContent === 'Tree Mode') {
-            treeModeToggle.textContent = 'Exit Tree';
-        } else {
-            treeModeToggle.textContent = 'Tree Mode';
-        }
-    });
+    treeModeToggle.addEventListener('click', toggleTreeMode);
 }
 
+// Toggle button text (tree mode also opens and closes via Escape, links and back/forward)
+onTreeModeChange((isOpen) => {
+    isTreeModeOn = isOpen;
+    renderUiText();
+});
+
 // Check for saved preference
 if (localStorage.getItem('darkMode') === 'enabled') {
     enableDarkMode();
@@ -43,30 +54,125 @@ darkModeToggle.addEventListener('click', () => {
 function enableDarkMode() {
     body.classList.add('dark-mode');
     localStorage.setItem('darkMode', 'enabled');
-    darkModeToggle.textContent = 'Light Mode';
+    darkModeToggle.textContent = content.ui.lightMode;
     setDarkMode(true); // Sync tree scene to nighttime
 }
 
 function disableDarkMode() {
     body.classList.remove('dark-mode');
     localStorage.setItem('darkMode', null);
-    darkModeToggle.textContent = 'Dark Mode';
+    darkModeToggle.textContent = content.ui.darkMode;
     setDarkMode(false); // Sync tree scene to daytime
 }
 
+// === Language ===
+// The button cycles through LOCALES and shows the name of the next one
+if (localeToggle) {
+    localeToggle.addEventListener('click', () => {
+        const locales = Object.keys(LOCALES);
+        const next = locales[(locales.indexOf(locale) + 1) % locales.length];
+
+        setLocale(next).then(() => {
+            renderPage();
+            refreshTreeContent(); // Rebuilds the labels if tree mode is open
+        }).catch(err => console.error('Failed to switch language:', err));
+    });
+}
+
+// === Reduced Motion ===
+body.classList.toggle('reduced-motion', reducedMotion);
+
+if (motionToggle) {
+    motionToggle.addEventListener('click', () => setReducedMotion(!reducedMotion));
+}
+
+// Also follows the OS setting while the page is open
+onReducedMotionChange((isReduced) => {
+    body.classList.toggle('reduced-motion', isReduced);
+    renderUiText();
+    if (isReduced) finishTyping();
+});
+
+/**
+ * Renders everything on the page that comes from content.json.
+ * @param {number} [typingDelay=0] - Milliseconds before the tagline starts typing.
+ */
+function renderPage(typingDelay = 0) {
+    renderArticle(content);
+    renderMessage(content.story);
+    renderUiText();
+    startTyping(typingDelay);
+}
+
+/**
+ * Puts the current locale's text on the buttons and tree-mode overlays.
+ */
+function renderUiText() {
+    const { ui } = content;
+    const locales = Object.keys(LOCALES);
+
+    darkModeToggle.textContent = body.classList.contains('dark-mode') ? ui.lightMode : ui.darkMode;
+    if (treeModeToggle) treeModeToggle.textContent = isTreeModeOn ? ui.exitTree : ui.treeMode;
+    if (motionToggle) motionToggle.textContent = reducedMotion ? ui.fullMotion : ui.reduceMotion;
+    if (localeToggle) {
+        localeToggle.textContent = LOCALES[locales[(locales.indexOf(locale) + 1) % locales.length]];
+        localeToggle.setAttribute('aria-label', ui.switchLanguage);
+        localeToggle.style.display = locales.length > 1 ? '' : 'none';
+    }
+
+    const texts = {
+        'intro-prompt': ui.introPrompt,
+        'tour-start': ui.autoTour,
+        'tree-loading-text': ui.loadingLabels
+    };
+    Object.entries(texts).forEach(([id, text]) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = text;
+    });
+    document.getElementById('tree-up')?.setAttribute('aria-label', ui.previousSection);
+    document.getElementById('tree-down')?.setAttribute('aria-label', ui.nextSection);
+}
+
 // Typewriter Effect
 const textElement = document.getElementById('typing-text');
-const textToType = textElement.textContent;
-textElement.textContent = '';
-
+let textToType = '';
 let charIndex = 0;
+let typingTimeout = null;
+
 function typeWriter() {
     if (charIndex < textToType.length) {
         textElement.textContent += textToType.charAt(charIndex);
         charIndex++;
-        setTimeout(typeWriter, 50); // Typing speed
+        typingTimeout = setTimeout(typeWriter, 50); // Typing speed
     }
 }
 
+/**
+ * (Re)starts typing the tagline that renderArticle() put in the element.
+ * With reduced motion it stays there fully typed.
+ * @param {number} [delay=0] - Milliseconds before the first character.
+ */
+function startTyping(delay = 0) {
+    clearTimeout(typingTimeout);
+    textToType = textElement.textContent;
+    if (reducedMotion) return;
+
+    textElement.textContent = '';
+    charIndex = 0;
+    typingTimeout = setTimeout(typeWriter, delay);
+}
+
+/**
+ * Shows the rest of the tagline at once.
+ */
+function finishTyping() {
+    clearTimeout(typingTimeout);
+    textElement.textContent = textToType;
+    charIndex = textToType.length;
+}
+
 // Start typing after a slight delay
-setTimeout(typeWriter, 1000);
+renderPage(1000);
+
+// Open tree mode if the URL links to it
+initTreeRouting();
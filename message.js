@@ -1,88 +1,68 @@
 /**
  * message.js - Procedural melancholy story generator
  *
- * Generates random poetic sentences in the format:
+ * Generates random poetic sentences from the "story" part of content.json.
+ * In English the template is:
  * "A [adjective] [noun] [verb phrase] in [context]."
+ * Each locale has its own template, so the words can sit in that
+ * language's natural order.
  *
  * Click the message to generate a new one.
  * Word lists are curated for a melancholy, reflective tone.
  */
 
-const adjectives = [
-    "weary",
-    "forgotten",
-    "quiet",
-    "lonesome",
-    "fading",
-    "restless",
-    "hollowed",
-    "wandering"
-];
+import { formatText } from './content.js';
 
-const nouns = [
-    "dreamer",
-    "stranger",
-    "ghost",
-    "traveler",
-    "soul",
-    "voice",
-    "shadow",
-    "fool"
-];
+let story = null; // The current locale's story (see renderMessage)
+let message = null;
 
-const verbPhrases = [
-    "searching for something unnamed",
-    "waiting for a sign that never comes",
-    "holding on to what slips away",
-    "whispering to an empty room",
-    "counting the days like coins",
-    "learning to let go",
-    "remembering what others forget",
-    "building cathedrals no one will see"
-];
-
-const contexts = [
-    "the space between words",
-    "a world that moved on",
-    "the hour before dawn",
-    "photographs that yellowed",
-    "the silence after goodbye",
-    "a city of strangers",
-    "the weight of small choices",
-    "rooms where the light changed"
-];
+/**
+ * Picks a random entry of a word list.
+ * @param {string[]} words - The list.
+ * @returns {string} One of the words ('' if the list is empty).
+ */
+function pick(words) {
+    return words.length > 0 ? words[Math.floor(Math.random() * words.length)] : '';
+}
 
 function generateMessage() {
-    const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
-    const noun = nouns[Math.floor(Math.random() * nouns.length)];
-    const verb = verbPhrases[Math.floor(Math.random() * verbPhrases.length)];
-    const context = contexts[Math.floor(Math.random() * contexts.length)];
-
-    return `A ${adj} ${noun} ${verb} in ${context}.`;
+    return formatText(story.template, {
+        adjective: pick(story.adjectives),
+        noun: pick(story.nouns),
+        verbPhrase: pick(story.verbPhrases),
+        context: pick(story.contexts)
+    });
 }
 
-function initMessage() {
+/**
+ * Shows the story title and a fresh message. Call again after switching
+ * locale to tell the next story in the new language.
+ * @param {Object} storyContent - content.story: { title, template, adjectives, nouns, verbPhrases, contexts }.
+ */
+export function renderMessage(storyContent) {
     const container = document.getElementById('procedural-message');
-    if (!container) return;
+    if (!container || !storyContent.template) return;
+    story = storyContent;
 
-    // Create title
-    const title = document.createElement('div');
-    title.className = 'procedural-title';
-    title.textContent = 'Tell me a story';
+    if (!message) {
+        // Create title
+        const title = document.createElement('div');
+        title.className = 'procedural-title';
 
-    // Create message
-    const message = document.createElement('div');
-    message.className = 'procedural-text';
-    message.textContent = generateMessage();
+        // Create message
+        message = document.createElement('div');
+        message.className = 'procedural-text';
 
-    container.appendChild(title);
-    container.appendChild(message);
+        container.appendChild(title);
+        container.appendChild(message);
 
-    // Regenerate on click
-    container.style.cursor = 'pointer';
-    container.addEventListener('click', () => {
-        message.textContent = generateMessage();
-    });
-}
+        // Regenerate on click
+        container.style.cursor = 'pointer';
+        container.addEventListener('click', () => {
+            message.textContent = generateMessage();
+        });
+    }
 
-document.addEventListener('DOMContentLoaded', initMessage);
+    container.querySelector('.procedural-title').textContent = story.title;
+    message.textContent = generateMessage();
+}
@@ -0,0 +1,67 @@
+/**
+ * motion.js - Reduced-motion setting for the page and tree mode
+ *
+ * Follows the OS "reduce motion" setting (prefers-reduced-motion), also when
+ * it changes while the page is open, until the visitor picks one with the
+ * nav toggle. That choice is kept in localStorage ('reducedMotion': 'on' or
+ * 'off').
+ *
+ * With reduced motion:
+ * - the tagline appears fully typed (main.js)
+ * - tree mode cuts between stops behind a short fade instead of flying,
+ *   and scrolling steps a whole section at a time (tree/camera.js)
+ * - the intro orbit, wind, falling leaves and panel videos stay still
+ *   (tree/camera.js, tree/index.js, tree/panels.js)
+ */
+
+const STORAGE_KEY = 'reducedMotion';
+const systemQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+const listeners = [];
+
+/**
+ * Whether to reduce motion: the visitor's saved choice, else the OS setting.
+ * @returns {boolean} True for reduced motion.
+ */
+export function resolveReducedMotion() {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved === 'on') return true;
+    if (saved === 'off') return false;
+    return systemQuery ? systemQuery.matches : false;
+}
+
+/**
+ * Saves the visitor's choice (the nav toggle).
+ * @param {boolean|null} value - True to reduce motion, false for full motion,
+ *   null to follow the OS setting again.
+ */
+export function setReducedMotion(value) {
+    if (value === null) {
+        localStorage.removeItem(STORAGE_KEY);
+    } else {
+        localStorage.setItem(STORAGE_KEY, value ? 'on' : 'off');
+    }
+    update();
+}
+
+/**
+ * Registers a function told whenever reduced motion turns on or off.
+ * @param {function(boolean): void} listener - Receives the new setting.
+ */
+export function onReducedMotionChange(listener) {
+    listeners.push(listener);
+}
+
+/**
+ * Re-reads the setting and tells the listeners if it changed.
+ */
+function update() {
+    const next = resolveReducedMotion();
+    if (next === reducedMotion) return;
+
+    reducedMotion = next;
+    listeners.forEach(listener => listener(reducedMotion));
+}
+
+if (systemQuery) systemQuery.addEventListener('change', update);
+
+export let reducedMotion = resolveReducedMotion();
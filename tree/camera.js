@@ -3,33 +3,254 @@
  *
  * Three camera modes:
  * 1. Intro Mode: Slow orbit high above the tree, waiting for user to start
- * 2. Guided Mode: Corkscrew path up the tree, controlled by scroll/buttons
+ * 2. Guided Mode: Keyframed path up the tree, controlled by scroll/buttons
  * 3. Free Camera: WASD movement (handled in editor.js)
  *
- * The tree has 5 sections at different heights (y=5 to y=104).
- * Scrolling interpolates the camera along a spiral path around the trunk.
+ * The guided path is a spline through keyframes (see cameraPath.js). By
+ * default they come from stops: one per content section, placed straight
+ * out from its label so the text is framed face-on, plus an optional canopy
+ * finale, with extra keyframes in between so the path winds around the
+ * trunk from one label's side to the next. A path authored in the editor
+ * replaces them (setCameraKeyframes).
+ *
+ * Speeds and smoothing are per second on the shared clock (clock.js), so the
+ * camera moves the same at any frame rate and pauses with the tab.
+ *
+ * With reduced motion (see ../motion.js) the intro orbit holds still and the
+ * camera cuts from stop to stop behind a short fade instead of flying.
+ *
+ * At any stop visitors can orbit and zoom a little (inspect.js); the camera
+ * springs back to the path's framing when they let go.
  */
 
 import * as THREE from 'three';
 import { updateFreeCameraMovement } from '../editor.js';
+import { createCameraPath, samplePath, samplePathAt } from './cameraPath.js';
+import { DEFAULT_FOV } from './sceneSetup.js';
+import { getDelta, getElapsedTime, damp } from './clock.js';
+import { reducedMotion } from '../motion.js';
+import { startDrag, dragTo, zoomBy, zoomByWheel, release, resetInspection, updateInspection, applyInspection } from './inspect.js';
 
 // === Camera State ===
 let isIntroMode = true;
 let introAngle = 0;
+const INTRO_ORBIT_SPEED = 0.06; // Radians per second
 
 // Transition animation (intro -> guided)
 let isTransitioning = false;
-let transitionStartTime = 0;
-const TRANSITION_DURATION_MS = 2000;
+let transitionStartTime = 0;     // Clock time, in seconds (see clock.js)
+let transitionDuration = 0;
+const TRANSITION_DURATION = 2;    // Seconds
+const DEEP_LINK_TRANSITION = 0.8; // Shorter fly-in when a link names the section
 const transitionStartPos = new THREE.Vector3();
 const transitionStartLookAt = new THREE.Vector3(0, 40, 0);
-const transitionEndLookAt = new THREE.Vector3(0, 5, 0);
+
+// === Guided Path ===
+const VIEW_DISTANCE = 17;        // How far in front of a label its stop sits
+const SHOW_CANOPY_FINALE = true; // End with a wide view above the canopy
+const BACKTRACK_ANGLE = 0.5;     // Turn back rather than circle the trunk for labels this close behind
+const MAX_KEYFRAME_TURN = Math.PI / 4; // Keyframe spacing around the trunk, so the spline wraps round it
+const PREVIEW_SECONDS_PER_KEYFRAME = 1;
+let stops = [];                  // { angle, radius, y, lookAtY } from setSectionStops()
+let authoredKeyframes = null;    // From a path file or the editor; null = follow the stops
+let path = null;                 // Active path (see createCameraPath)
+let previewStartTime = null;     // Editor preview of the whole path (see previewCameraPath)
+let previewDuration = 0;
+let pathListener = null;         // Told when the active path changes (see onCameraPathChange)
 
 // === Navigation State ===
-const TOTAL_SECTIONS = 6; // Where I Stand, What I Make, What I Carry, What I Believe, Find Me, Canopy View
 let currentSectionIndex = 0;
 let targetScrollProgress = 0;   // Where user wants to be (0-1)
 let currentScrollProgress = 0;  // Where camera actually is (lerps toward target)
+const SCROLL_SMOOTHING = 0.33;  // Seconds (time constant) for the camera to catch up with scrolling
+const SETTLED_PROGRESS = 0.002; // Closer than this to the target counts as arrived
+let scrubRemainder = 0;         // Reduced motion: scrolling not yet worth a whole section
+
+// === Tree Dimensions ===
+// Defaults fit the colossus; setTreeDimensions() adapts them to other species
+let introHeight = 200;      // Higher than the canopy (which is at ~165)
+let introLookAtY = 140;     // Look at the upper trunk/canopy
+let canopyHeight = 220;     // Final destination - way above canopy
+
+/**
+ * Adapts the intro orbit and canopy finale to the generated tree's size.
+ * @param {Object} dimensions - treeGroup.userData.dimensions from generateTree().
+ * @param {number} dimensions.trunkHeight - Height of the top of the trunk.
+ */
+export function setTreeDimensions({ trunkHeight }) {
+    introHeight = trunkHeight + 40;
+    introLookAtY = trunkHeight - 20;
+    canopyHeight = trunkHeight + 60;
+}
+
+/**
+ * Builds the guided path from the sections' label positions, bottom to top.
+ * Each stop faces its label head-on; the canopy finale is appended after the
+ * last section (see SHOW_CANOPY_FINALE). Call again when labels move.
+ * @param {{ angle: number, radius: number, y: number }[]} anchors - Per section: the label
+ *   block's direction around the trunk, distance from it, and vertical center.
+ */
+export function setSectionStops(anchors) {
+    stops = anchors.map(anchor => ({
+        angle: anchor.angle,
+        radius: anchor.radius + VIEW_DISTANCE,
+        y: anchor.y,
+        lookAtY: anchor.y
+    }));
+
+    if (SHOW_CANOPY_FINALE) {
+        const last = stops[stops.length - 1];
+        stops.push({
+            angle: (last ? last.angle : 0) + Math.PI, // Swing round to the far side on the way up
+            radius: 150,                              // Wide "god view"
+            y: canopyHeight + 5,
+            lookAtY: canopyHeight - 35                // Gentle downward angle
+        });
+    }
+
+    if (!authoredKeyframes) setPath(buildStopKeyframes());
+
+    // Still flying in (or cutting between stops): keep to the requested section on the new path
+    if (isTransitioning || reducedMotion) {
+        targetScrollProgress = getSectionProgress(currentSectionIndex);
+        currentScrollProgress = targetScrollProgress;
+    }
+}
+
+/**
+ * Replaces the path built from the sections with authored keyframes.
+ * @param {Object[]|null} keyframes - Keyframes (see cameraPath.js), or null to follow the sections again.
+ */
+export function setCameraKeyframes(keyframes) {
+    authoredKeyframes = keyframes && keyframes.length > 0 ? keyframes : null;
+    setPath(authoredKeyframes ?? buildStopKeyframes());
+}
+
+/**
+ * Registers the function told whenever the active path changes (stops laid
+ * out, a path file loaded, keyframes edited), e.g. to redraw it in the editor.
+ * @param {function(): void|null} listener - The function, or null to stop telling.
+ */
+export function onCameraPathChange(listener) {
+    pathListener = listener;
+}
+
+/**
+ * Forgets the section stops and any authored path (tree mode closed), so the
+ * next tree's stops are followed again.
+ */
+export function clearCameraPath() {
+    stops = [];
+    authoredKeyframes = null;
+    path = null;
+    previewStartTime = null;
+}
+
+/**
+ * A copy of the active path's keyframes, for editing.
+ * @returns {Object[]} The keyframes (empty until the sections or a path are set).
+ */
+export function getCameraKeyframes() {
+    if (!path) return [];
+    return path.keyframes.map(keyframe => ({
+        ...keyframe,
+        position: [...keyframe.position],
+        lookAt: [...keyframe.lookAt]
+    }));
+}
+
+/**
+ * Flies the camera along the whole path once, first keyframe to last, then
+ * returns to the current mode. Used by the editor to check a path.
+ */
+export function previewCameraPath() {
+    if (!path) return;
+    previewStartTime = getElapsedTime();
+    previewDuration = Math.max(1, path.keyframes.length - 1) * PREVIEW_SECONDS_PER_KEYFRAME;
+}
+
+/**
+ * Makes keyframes the active path, keeping the section index in range.
+ * @param {Object[]} keyframes - Keyframes (may be empty before the sections are known).
+ */
+function setPath(keyframes) {
+    path = keyframes.length > 0 ? createCameraPath(keyframes) : null;
+    currentSectionIndex = Math.min(currentSectionIndex, Math.max(0, getSectionCount() - 1));
+    if (pathListener) pathListener();
+}
+
+/**
+ * Keyframes through the section stops. Between two stops the camera turns
+ * forward (counter-clockwise) around the trunk while rising, so alternating
+ * label sides give the corkscrew; keyframes every MAX_KEYFRAME_TURN keep the
+ * spline on that arc.
+ * @returns {Object[]} The keyframes; stops are marked `stop: true`.
+ */
+function buildStopKeyframes() {
+    const keyframes = [];
+
+    stops.forEach((from, index) => {
+        const to = stops[index + 1];
+        if (!to) {
+            keyframes.push(getArcKeyframe(from, from, 0, 0, true));
+            return;
+        }
+
+        // Always turn the same way, unless the next label is only slightly behind
+        let turn = THREE.MathUtils.euclideanModulo(to.angle - from.angle, Math.PI * 2);
+        if (turn > Math.PI * 2 - BACKTRACK_ANGLE) turn -= Math.PI * 2;
+
+        const steps = Math.max(1, Math.ceil(Math.abs(turn) / MAX_KEYFRAME_TURN));
+        for (let step = 0; step < steps; step++) {
+            keyframes.push(getArcKeyframe(from, to, turn, step / steps, step === 0));
+        }
+    });
+
+    return keyframes;
+}
+
+/**
+ * A keyframe part way between two stops.
+ * @param {Object} from - Stop the segment starts at.
+ * @param {Object} to - Stop it ends at.
+ * @param {number} turn - Radians turned around the trunk over the segment.
+ * @param {number} t - How far along the segment (0-1).
+ * @param {boolean} stop - Whether this keyframe is a stop.
+ * @returns {Object} The keyframe.
+ */
+function getArcKeyframe(from, to, turn, t, stop) {
+    const angle = from.angle + turn * t;
+    const radius = THREE.MathUtils.lerp(from.radius, to.radius, t);
+    const y = THREE.MathUtils.lerp(from.y, to.y, t);
+
+    return {
+        position: [Math.cos(angle) * radius, y, Math.sin(angle) * radius],
+        // Looking at the trunk axis from straight out of a label frames it face-on
+        lookAt: [0, THREE.MathUtils.lerp(from.lookAtY, to.lookAtY, t), 0],
+        fov: DEFAULT_FOV,
+        roll: 0,
+        ease: 'linear',
+        stop
+    };
+}
+
+/**
+ * Where the camera stands to read a label face-on.
+ * @param {{ angle: number, radius: number, y: number }} anchor - The label block (see setSectionStops).
+ * @returns {THREE.Vector3} Camera position.
+ */
+export function getFramingPosition({ angle, radius, y }) {
+    const distance = radius + VIEW_DISTANCE;
+    return new THREE.Vector3(Math.cos(angle) * distance, y, Math.sin(angle) * distance);
+}
+
+/**
+ * @returns {number} Number of guided stops (sections plus the canopy finale,
+ *   or the stops of an authored path).
+ */
+export function getSectionCount() {
+    return path ? path.stops.length : 0;
+}
 
 /**
  * Resets the camera state to the initial Intro Mode.
@@ -39,6 +260,8 @@ export function resetCameraState() {
     isIntroMode = true;
     isTransitioning = false;
     introAngle = 0;
+    scrubRemainder = 0;
+    resetInspection();
     currentSectionIndex = 0;
     targetScrollProgress = 0;
     currentScrollProgress = 0;
@@ -46,14 +269,17 @@ export function resetCameraState() {
 
 /**
  * Triggers the transition from Intro Mode to Guided Mode.
- * Moves the camera from the high orbit to the base of the tree.
+ * Moves the camera from the high orbit to the base of the tree, or straight
+ * to a section (used by links like #tree/find-me, see route.js).
  * @param {THREE.Camera} camera - The camera object to animate.
+ * @param {number|null} [section=null] - Section to fly to; null for the first one.
  */
-export function startGuidedMode(camera) {
+export function startGuidedMode(camera, section = null) {
     if (isTransitioning) return;
     isIntroMode = false;
     isTransitioning = true;
-    transitionStartTime = Date.now();
+    transitionStartTime = getElapsedTime();
+    transitionDuration = section === null ? TRANSITION_DURATION : DEEP_LINK_TRANSITION;
     transitionStartPos.copy(camera.position);
 
     const introMsg = document.getElementById('intro-message');
@@ -62,9 +288,16 @@ export function startGuidedMode(camera) {
     if (introMsg) introMsg.style.display = 'none';
     if (controls) controls.style.display = 'flex';
 
-    // Reset to start
-    targetScrollProgress = 0;
-    currentScrollProgress = 0;
+    // Start at the requested section (clamped once the stops exist, see setSectionStops)
+    currentSectionIndex = Math.max(0, section ?? 0);
+    targetScrollProgress = getSectionProgress(currentSectionIndex);
+    currentScrollProgress = targetScrollProgress;
+
+    // Reduced motion: cut straight there
+    if (reducedMotion) {
+        isTransitioning = false;
+        fadeIn();
+    }
 }
 
 /**
@@ -79,82 +312,102 @@ export function updateCamera(camera, isTreeModeActive, isFreeCamera) {
 
     if (isIntroMode) {
         // Intro Mode - Orbiting Camera
-        introAngle += 0.001; // Slow rotation
+        if (!reducedMotion) introAngle += INTRO_ORBIT_SPEED * getDelta(); // Slow rotation
         const radius = 160; // Further away to see the huge top
-        const height = 200; // Higher than the canopy (which is at ~165)
 
         camera.position.x = Math.cos(introAngle) * radius;
         camera.position.z = Math.sin(introAngle) * radius;
-        camera.position.y = height;
-        camera.lookAt(0, 140, 0); // Look at the upper trunk/canopy
+        camera.position.y = introHeight;
+        camera.lookAt(0, introLookAtY, 0);
+        setFov(camera, DEFAULT_FOV);
     } else if (isTransitioning) {
-        const now = Date.now();
-        const progress = Math.min((now - transitionStartTime) / TRANSITION_DURATION_MS, 1);
+        const progress = Math.min((getElapsedTime() - transitionStartTime) / transitionDuration, 1);
 
         // Ease out cubic
         const t = 1 - Math.pow(1 - progress, 3);
 
-        // Target: Start of guided mode (Welcome section)
-        const targetPos = new THREE.Vector3(35, 5, 0);
+        // Target: Start of guided mode (first or requested section)
+        const target = getGuidedPose(currentScrollProgress);
 
-        camera.position.lerpVectors(transitionStartPos, targetPos, t);
+        camera.position.lerpVectors(transitionStartPos, target.position, t);
 
-        const currentLookAt = new THREE.Vector3().lerpVectors(transitionStartLookAt, transitionEndLookAt, t);
+        const currentLookAt = new THREE.Vector3().lerpVectors(transitionStartLookAt, target.lookAt, t);
         camera.lookAt(currentLookAt);
+        camera.rotateZ(target.roll * t);
+        setFov(camera, THREE.MathUtils.lerp(DEFAULT_FOV, target.fov, t));
 
         if (progress >= 1) {
             isTransitioning = false;
             const controls = document.getElementById('tree-controls');
             if (controls) controls.style.display = 'flex';
         }
+    } else if (previewStartTime !== null && path) {
+        // Editor preview: the whole path at a steady pace per keyframe
+        const t = Math.min((getElapsedTime() - previewStartTime) / previewDuration, 1);
+        applyPose(camera, samplePathAt(path, t * (path.keyframes.length - 1)));
+        if (t >= 1) previewStartTime = null;
     } else if (isFreeCamera()) {
         updateFreeCameraMovement();
     } else {
-        // Guided Mode - Corkscrew Camera Path
-        // Smoothly interpolate current progress towards target
-        currentScrollProgress += (targetScrollProgress - currentScrollProgress) * 0.05;
-
-        // Two-phase height: sections 0-4 align with text, section 5 zooms out above canopy
-        const textSectionEnd = 4/5; // 80% of scroll = section 4 (Find Me)
-        const maxTextHeight = 104;  // y position of last text
-        const canopyHeight = 220;   // Final destination - way above canopy
-
-        let currentHeight;
-        if (currentScrollProgress <= textSectionEnd) {
-            // Sections 0-4: Linear through text positions
-            currentHeight = (currentScrollProgress / textSectionEnd) * maxTextHeight;
+        // Guided Mode - Keyframed Camera Path
+        if (reducedMotion) {
+            // Cut to the target, hidden by a short fade
+            if (currentScrollProgress !== targetScrollProgress) fadeIn();
+            currentScrollProgress = targetScrollProgress;
         } else {
-            // Section 5: Rise up above canopy for wide view
-            const canopyProgress = (currentScrollProgress - textSectionEnd) / (1 - textSectionEnd);
-            currentHeight = maxTextHeight + (canopyProgress * (canopyHeight - maxTextHeight));
+            // Smoothly interpolate current progress towards target
+            currentScrollProgress = damp(currentScrollProgress, targetScrollProgress, SCROLL_SMOOTHING);
         }
 
-        // Corkscrew Camera Path - radius EXPANDS in canopy for zoom out effect
-        const baseRadius = 35;
-        const canopyStart = 0.8; // Last 20% of journey pulls back
-        let radius = baseRadius;
-        if (currentScrollProgress > canopyStart) {
-            // Expand radius for wide "god view"
-            const canopyProgress = (currentScrollProgress - canopyStart) / (1 - canopyStart);
-            radius = baseRadius + (canopyProgress * 115); // Expand to 150
-        }
+        // Plus any orbit/zoom the visitor is looking around with
+        updateInspection();
+        applyPose(camera, applyInspection(getGuidedPose(currentScrollProgress)));
+    }
+}
 
-        const rotations = 2.5; // Extra half rotation for the final section
-        const angle = currentScrollProgress * Math.PI * 2 * rotations;
+/**
+ * Where the guided path puts the camera for a given scroll progress.
+ * @param {number} progress - Scroll progress along the path (0 = first stop, 1 = last).
+ * @returns {{ position: THREE.Vector3, lookAt: THREE.Vector3, fov: number, roll: number }} Camera pose.
+ */
+export function getGuidedPose(progress) {
+    if (!path) {
+        return { position: new THREE.Vector3(35, 5, 0), lookAt: new THREE.Vector3(0, 5, 0), fov: DEFAULT_FOV, roll: 0 };
+    }
+    return samplePath(path, progress);
+}
 
-        camera.position.x = Math.cos(angle) * radius;
-        camera.position.z = Math.sin(angle) * radius;
-        camera.position.y = currentHeight + 5;
+/**
+ * Puts the camera at a pose from the path.
+ * @param {THREE.PerspectiveCamera} camera - The camera.
+ * @param {Object} pose - { position, lookAt, fov, roll } (see getGuidedPose).
+ */
+function applyPose(camera, pose) {
+    camera.position.copy(pose.position);
+    camera.lookAt(pose.lookAt);
+    if (pose.roll) camera.rotateZ(pose.roll);
+    setFov(camera, pose.fov);
+}
 
-        // In canopy section, look down at tree center; otherwise look at current height
-        if (currentScrollProgress > canopyStart) {
-            const canopyProgress = (currentScrollProgress - canopyStart) / (1 - canopyStart);
-            const lookAtY = currentHeight + 5 - (canopyProgress * 40); // Gentler downward angle
-            camera.lookAt(0, lookAtY, 0);
-        } else {
-            camera.lookAt(0, currentHeight + 5, 0);
-        }
-    }
+/**
+ * Changes the field of view, updating the projection only when it changes.
+ * @param {THREE.PerspectiveCamera} camera - The camera.
+ * @param {number} fov - Vertical field of view in degrees.
+ */
+function setFov(camera, fov) {
+    if (Math.abs(camera.fov - fov) < 1e-3) return;
+    camera.fov = fov;
+    camera.updateProjectionMatrix();
+}
+
+/**
+ * Scroll progress at which the guided camera stops for a section.
+ * @param {number} index - Section index (0 = bottom).
+ * @returns {number} Scroll progress (0-1).
+ */
+export function getSectionProgress(index) {
+    const count = getSectionCount();
+    return count > 1 ? Math.min(1, index / (count - 1)) : 0;
 }
 
 export function onWheel(event, isTreeModeActive, isFreeCamera, camera) {
@@ -165,15 +418,38 @@ export function onWheel(event, isTreeModeActive, isFreeCamera, camera) {
     if (isFreeCamera()) {
         // In free camera mode, scroll moves camera up/down
         camera.position.y += event.deltaY * 0.05;
+    } else if (event.ctrlKey) {
+        // Ctrl+wheel (and trackpad pinch) zooms at the current stop
+        zoomByWheel(event.deltaY);
     } else {
         // In guided mode, scroll changes target progress
-        const scrollDelta = event.deltaY * 0.001;
-        targetScrollProgress += scrollDelta;
-        targetScrollProgress = Math.max(0, Math.min(1, targetScrollProgress));
+        scrubProgress(event.deltaY * 0.001);
+    }
+}
+
+/**
+ * Moves the guided camera along its path by an amount of scroll progress
+ * (wheel, touch drag, gamepad sticks). Does nothing in the intro.
+ * @param {number} delta - Change in progress (positive = up the tree).
+ */
+export function scrubProgress(delta) {
+    if (isIntroMode) return;
 
-        // Update section index based on scroll
-        currentSectionIndex = Math.round(targetScrollProgress * (TOTAL_SECTIONS - 1));
+    if (reducedMotion) {
+        // A whole section at a time, so the camera cuts instead of gliding
+        scrubRemainder += delta;
+        const step = 1 / Math.max(1, getSectionCount() - 1);
+        if (Math.abs(scrubRemainder) >= step) {
+            moveSection(Math.sign(scrubRemainder));
+            scrubRemainder = 0;
+        }
+        return;
     }
+
+    targetScrollProgress = THREE.MathUtils.clamp(targetScrollProgress + delta, 0, 1);
+
+    // Update section index based on scroll
+    currentSectionIndex = Math.round(targetScrollProgress * Math.max(0, getSectionCount() - 1));
 }
 
 /**
@@ -181,24 +457,60 @@ export function onWheel(event, isTreeModeActive, isFreeCamera, camera) {
  * @param {number} direction - +1 for next section (up), -1 for previous section (down).
  */
 export function moveSection(direction) {
-    currentSectionIndex += direction;
+    goToSection(currentSectionIndex + direction);
+}
 
+/**
+ * Flies the guided camera to a section.
+ * @param {number} index - Section index (clamped to the available sections).
+ */
+export function goToSection(index) {
     // Clamp index
-    if (currentSectionIndex < 0) currentSectionIndex = 0;
-    if (currentSectionIndex >= TOTAL_SECTIONS) currentSectionIndex = TOTAL_SECTIONS - 1;
+    currentSectionIndex = Math.max(0, Math.min(getSectionCount() - 1, index));
 
     // Calculate target progress (0.0 to 1.0)
     // 0 = Welcome (Bottom), 1 = Contact (Top)
-    targetScrollProgress = currentSectionIndex / (TOTAL_SECTIONS - 1);
+    targetScrollProgress = getSectionProgress(currentSectionIndex);
 }
 
 export function getIsIntroMode() {
     return isIntroMode;
 }
 
+/**
+ * @returns {number} Index of the section the guided camera is at or heading to.
+ */
+export function getCurrentSection() {
+    return currentSectionIndex;
+}
+
+/**
+ * @returns {number} Where the guided camera is along its path right now
+ *   (0 = first stop, 1 = last), trailing the target while it catches up.
+ */
+export function getScrollProgress() {
+    return currentScrollProgress;
+}
+
+/**
+ * @returns {boolean} True once the guided camera has arrived where it was sent
+ *   (not in the intro, flying in, or still catching up with a scroll).
+ */
+export function isCameraSettled() {
+    return !isIntroMode && !isTransitioning && Math.abs(targetScrollProgress - currentScrollProgress) < SETTLED_PROGRESS;
+}
+
 // === Touch Handling for Mobile ===
+// One finger up/down scrolls (a quick swipe snaps to the next section),
+// one finger sideways orbits and two fingers pinch to zoom (see inspect.js).
+// Each touch commits to one gesture, so orbiting and pinching never swipe.
+const GESTURE_THRESHOLD = 10;    // Pixels a finger moves before its gesture is decided
 let touchStartY = 0;
 let touchStartTime = 0;
+let touchStartSection = 0;
+let gestureStart = { x: 0, y: 0 };
+let touchGesture = null;         // 'scroll', 'orbit' or 'pinch' (null = not decided yet)
+let pinchDistance = 0;
 
 export function onTouchStart(event, isTreeModeActive) {
     if (!isTreeModeActive) return;
@@ -207,6 +519,13 @@ export function onTouchStart(event, isTreeModeActive) {
     if (event.touches.length === 1) {
         touchStartY = event.touches[0].clientY;
         touchStartTime = Date.now();
+        touchStartSection = currentSectionIndex;
+        gestureStart = { x: event.touches[0].clientX, y: touchStartY };
+        touchGesture = null;
+    } else if (event.touches.length === 2) {
+        // A second finger turns any one-finger gesture into a pinch
+        touchGesture = 'pinch';
+        pinchDistance = getPinchDistance(event.touches);
     }
 }
 
@@ -215,17 +534,36 @@ export function onTouchMove(event, isTreeModeActive) {
     if (isIntroMode) return;
     event.preventDefault();
 
+    if (touchGesture === 'pinch') {
+        if (event.touches.length !== 2) return; // One finger lifted: wait for the other
+        const distance = getPinchDistance(event.touches);
+        if (distance > 0 && pinchDistance > 0) zoomBy(pinchDistance / distance); // Spreading the fingers zooms in
+        pinchDistance = distance;
+        return;
+    }
+
     if (event.touches.length === 1) {
-        const touchY = event.touches[0].clientY;
+        const touch = event.touches[0];
+
+        if (touchGesture === null) {
+            const dx = touch.clientX - gestureStart.x;
+            const dy = touch.clientY - gestureStart.y;
+            if (Math.hypot(dx, dy) < GESTURE_THRESHOLD) return;
+
+            touchGesture = Math.abs(dx) > Math.abs(dy) ? 'orbit' : 'scroll';
+            if (touchGesture === 'orbit') startDrag(gestureStart.x, gestureStart.y);
+        }
+
+        if (touchGesture === 'orbit') {
+            dragTo(touch.clientX, touch.clientY);
+            return;
+        }
+
+        const touchY = touch.clientY;
         const deltaY = touchStartY - touchY;
 
         // Continuous scroll-like behavior
-        const scrollDelta = deltaY * 0.002;
-        targetScrollProgress += scrollDelta;
-        targetScrollProgress = Math.max(0, Math.min(1, targetScrollProgress));
-
-        // Update section index
-        currentSectionIndex = Math.round(targetScrollProgress * (TOTAL_SECTIONS - 1));
+        scrubProgress(deltaY * 0.002);
 
         touchStartY = touchY;
     }
@@ -235,8 +573,17 @@ export function onTouchEnd(event, isTreeModeActive) {
     if (!isTreeModeActive) return;
     if (isIntroMode) return;
 
+    // Orbit and pinch spring back once every finger is off; they never swipe
+    if (touchGesture === 'orbit' || touchGesture === 'pinch') {
+        if (event.touches.length === 0) release();
+        return;
+    }
+
     const touchDuration = Date.now() - touchStartTime;
 
+    // Reduced motion: the drag already stepped to another section
+    if (reducedMotion && currentSectionIndex !== touchStartSection) return;
+
     // Quick swipe detection for snapping to sections
     if (touchDuration < 300) {
         const touchEndY = event.changedTouches[0].clientY;
@@ -252,3 +599,23 @@ export function onTouchEnd(event, isTreeModeActive) {
         }
     }
 }
+
+/**
+ * @param {TouchList} touches - Exactly two touches.
+ * @returns {number} Pixels between them.
+ */
+function getPinchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+}
+
+/**
+ * Fades the tree view in from the page background, to soften a cut.
+ */
+function fadeIn() {
+    const fade = document.getElementById('tree-fade');
+    if (!fade) return;
+
+    fade.classList.remove('is-fading');
+    void fade.offsetWidth; // Restart the CSS animation
+    fade.classList.add('is-fading');
+}
@@ -0,0 +1,200 @@
+/**
+ * tree/cameraPath.js - Keyframed camera path for guided mode
+ *
+ * The guided camera flies along a path through keyframes:
+ * - position: [x, y, z] where the camera is
+ * - lookAt:   [x, y, z] what it looks at
+ * - fov:      Vertical field of view in degrees (default DEFAULT_FOV)
+ * - roll:     Tilt around the view direction in radians (default 0)
+ * - ease:     Easing of the segment to the next keyframe (see EASINGS, default 'linear')
+ * - stop:     true where scrolling and the section buttons come to rest
+ *
+ * Positions and look-at targets follow centripetal Catmull-Rom splines, so
+ * the path passes through every keyframe without overshooting; FOV and roll
+ * are interpolated along with them. Scroll progress is spread evenly over the
+ * stops (0 = first stop, 1 = last), not over the keyframes in between.
+ *
+ * camera.js builds a path from the section stops by default. A path authored
+ * in the editor (see editor.js) is saved as JSON and loaded with
+ * ?path=camera-path.json, or by setting CAMERA_PATH_URL below.
+ */
+
+import * as THREE from 'three';
+import { validateContent } from '../content.js';
+import { DEFAULT_FOV } from './sceneSetup.js';
+
+// Ship an authored path by pointing this at its JSON (null = follow the sections)
+export const CAMERA_PATH_URL = null;
+
+// Segment easings: map 0-1 along a segment to 0-1 along the spline
+export const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+const VECTOR = { type: 'array', items: { type: 'number' } };
+
+const KEYFRAME_SCHEMA = {
+    type: 'object',
+    required: ['position', 'lookAt'],
+    properties: {
+        position: VECTOR,
+        lookAt: VECTOR,
+        fov: { type: 'number' },
+        roll: { type: 'number' },
+        ease: { enum: Object.keys(EASINGS) },
+        stop: { type: 'boolean' }
+    }
+};
+
+const PATH_SCHEMA = {
+    type: 'object',
+    required: ['keyframes'],
+    properties: {
+        keyframes: { type: 'array', items: KEYFRAME_SCHEMA }
+    }
+};
+
+/**
+ * Builds the splines for a list of keyframes.
+ * @param {Object[]} list - Keyframes (see the header); at least one.
+ * @returns {Object} Path: { keyframes, positions, lookAts, stops } where keyframes have
+ *   every field filled in and stops are keyframe indices.
+ */
+export function createCameraPath(list) {
+    const keyframes = list.map(keyframe => ({
+        fov: DEFAULT_FOV,
+        roll: 0,
+        ease: 'linear',
+        stop: false,
+        ...keyframe
+    }));
+    const stops = keyframes.map((keyframe, index) => (keyframe.stop ? index : -1)).filter(index => index !== -1);
+
+    return {
+        keyframes,
+        positions: new THREE.CatmullRomCurve3(keyframes.map(k => new THREE.Vector3(...k.position)), false, 'centripetal'),
+        lookAts: new THREE.CatmullRomCurve3(keyframes.map(k => new THREE.Vector3(...k.lookAt)), false, 'centripetal'),
+        stops: stops.length > 0 ? stops : keyframes.map((keyframe, index) => index) // No stops: every keyframe is one
+    };
+}
+
+/**
+ * Camera pose at a scroll progress, spread evenly over the path's stops.
+ * @param {Object} path - From createCameraPath().
+ * @param {number} progress - Scroll progress (0 = first stop, 1 = last stop).
+ * @returns {{ position: THREE.Vector3, lookAt: THREE.Vector3, fov: number, roll: number }} The pose.
+ */
+export function samplePath(path, progress) {
+    const { stops } = path;
+    if (stops.length === 1) return samplePathAt(path, stops[0]);
+
+    const scaled = THREE.MathUtils.clamp(progress, 0, 1) * (stops.length - 1);
+    const index = Math.min(Math.floor(scaled), stops.length - 2);
+    return samplePathAt(path, THREE.MathUtils.lerp(stops[index], stops[index + 1], scaled - index));
+}
+
+/**
+ * Camera pose at a point along the keyframes, with the segment's easing applied.
+ * @param {Object} path - From createCameraPath().
+ * @param {number} position - Keyframe index, fractional between keyframes (0 to count - 1).
+ * @returns {{ position: THREE.Vector3, lookAt: THREE.Vector3, fov: number, roll: number }} The pose.
+ */
+export function samplePathAt(path, position) {
+    const { keyframes } = path;
+    const last = keyframes.length - 1;
+    if (last === 0) return getKeyframePose(keyframes[0]);
+
+    const clamped = THREE.MathUtils.clamp(position, 0, last);
+    const index = Math.min(Math.floor(clamped), last - 1);
+    const from = keyframes[index];
+    const to = keyframes[index + 1];
+    const t = EASINGS[from.ease](clamped - index);
+    const u = (index + t) / last;
+
+    return {
+        position: path.positions.getPoint(u),
+        lookAt: path.lookAts.getPoint(u),
+        fov: THREE.MathUtils.lerp(from.fov, to.fov, t),
+        roll: THREE.MathUtils.lerp(from.roll, to.roll, t)
+    };
+}
+
+/**
+ * Points along the whole path, for drawing it.
+ * @param {Object} path - From createCameraPath().
+ * @param {number} [perSegment=16] - Points per keyframe segment.
+ * @returns {THREE.Vector3[]} The points.
+ */
+export function getPathPoints(path, perSegment = 16) {
+    if (path.keyframes.length < 2) return [new THREE.Vector3(...path.keyframes[0].position)];
+    return path.positions.getPoints(perSegment * (path.keyframes.length - 1));
+}
+
+/**
+ * Turns keyframes into JSON for a camera path file (numbers rounded to 0.01).
+ * @param {Object[]} keyframes - Keyframes (see the header).
+ * @returns {string} The JSON.
+ */
+export function serializeCameraPath(keyframes) {
+    const round = value => Math.round(value * 100) / 100;
+    const data = {
+        keyframes: keyframes.map(k => ({
+            position: k.position.map(round),
+            lookAt: k.lookAt.map(round),
+            fov: round(k.fov ?? DEFAULT_FOV),
+            roll: round(k.roll ?? 0),
+            ease: k.ease || 'linear',
+            stop: Boolean(k.stop)
+        }))
+    };
+    return JSON.stringify(data, null, 4);
+}
+
+/**
+ * Reads the camera path file to load from the URL (?path=paths/tour.json).
+ * @returns {string|null} URL of the file, or null to follow the sections.
+ */
+export function resolveCameraPathUrl() {
+    const param = new URLSearchParams(window.location.search).get('path');
+    return param || CAMERA_PATH_URL;
+}
+
+/**
+ * Loads and checks a camera path file written by serializeCameraPath().
+ * @param {string} url - URL of the JSON file.
+ * @returns {Promise<Object[]>} Its keyframes. Rejects if the file is missing or invalid.
+ */
+export async function loadCameraPath(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    const data = await response.json();
+
+    const errors = validateContent(data, PATH_SCHEMA, 'path');
+    if (errors.length === 0) {
+        data.keyframes.forEach((keyframe, index) => {
+            ['position', 'lookAt'].forEach(key => {
+                if (keyframe[key].length !== 3) errors.push(`path.keyframes[${index}].${key}: expected [x, y, z]`);
+            });
+        });
+        if (data.keyframes.length === 0) errors.push('path.keyframes: no keyframes');
+    }
+    if (errors.length > 0) throw new Error(errors.join('\n'));
+
+    return data.keyframes;
+}
+
+/**
+ * @param {Object} keyframe - A keyframe from createCameraPath().
+ * @returns {{ position: THREE.Vector3, lookAt: THREE.Vector3, fov: number, roll: number }} Its pose.
+ */
+function getKeyframePose(keyframe) {
+    return {
+        position: new THREE.Vector3(...keyframe.position),
+        lookAt: new THREE.Vector3(...keyframe.lookAt),
+        fov: keyframe.fov,
+        roll: keyframe.roll
+    };
+}
@@ -0,0 +1,132 @@
+/**
+ * tree/canvasText.js - Text drawn onto canvas textures
+ *
+ * Renders a string with the browser's own text engine, so any script the
+ * system fonts cover works (CJK, accents, emoji), then shows it on a flat
+ * plane. Textures are drawn at a fixed pixel density per world unit and
+ * mipmapped so labels stay crisp both up close and from across the tree.
+ *
+ * Used by labels.js as the default label renderer and as the fallback when
+ * a typeface font can't be loaded.
+ */
+
+import * as THREE from 'three';
+import { renderer } from './sceneSetup.js';
+
+// === Canvas Text Settings ===
+const PIXELS_PER_UNIT = 96; // Texture resolution per world unit of font size
+const MIN_FONT_PX = 48;     // Floor so small detail text keeps enough pixels
+const MAX_CANVAS_SIZE = 4096;
+const LINE_SPACING = 1.3;   // Canvas height relative to the font size (room for descenders)
+
+let measureContext = null; // Reused 2D context for measuring text
+
+/**
+ * Draws a line of text onto a canvas texture and returns it on a centered plane.
+ * The plane is as tall as TextGeometry would make the same style, so both
+ * renderers can be swapped without moving labels.
+ * @param {string} text - The text (any Unicode).
+ * @param {Object} style - Label style: { fontFamily, fontWeight, size, color, outline, shadow }.
+ *   outline: { width, color } in world units, or null.
+ *   shadow: { color, blur, offsetX, offsetY } in world units, or null.
+ * @returns {THREE.Mesh} A double-sided text plane.
+ */
+export function createCanvasText(text, style) {
+    const { fontPx, toPx, cssFont } = getCanvasFont(style);
+
+    // Leave room around the glyphs for the outline and shadow
+    const outlinePx = style.outline ? style.outline.width * toPx : 0;
+    const shadow = style.shadow;
+    const shadowPx = shadow
+        ? shadow.blur * toPx + Math.max(Math.abs(shadow.offsetX), Math.abs(shadow.offsetY)) * toPx
+        : 0;
+    const padding = Math.ceil(fontPx * 0.15 + outlinePx + shadowPx);
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = cssFont;
+    const textWidth = context.measureText(text).width;
+
+    const scale = Math.min(1, MAX_CANVAS_SIZE / (textWidth + padding * 2)); // Very long lines
+    canvas.width = Math.ceil((textWidth + padding * 2) * scale);
+    canvas.height = Math.ceil((fontPx * LINE_SPACING + padding * 2) * scale);
+
+    // Resizing the canvas resets the context state
+    context.scale(scale, scale);
+    context.font = cssFont;
+    context.textBaseline = 'middle';
+    context.lineJoin = 'round';
+    const x = padding;
+    const y = padding + (fontPx * LINE_SPACING) / 2;
+
+    if (shadow) {
+        context.shadowColor = toCss(shadow.color);
+        context.shadowBlur = shadow.blur * toPx * scale;
+        context.shadowOffsetX = shadow.offsetX * toPx * scale;
+        context.shadowOffsetY = shadow.offsetY * toPx * scale;
+    }
+
+    // Outline first so the fill sits on top of its inner half
+    if (style.outline) {
+        context.strokeStyle = toCss(style.outline.color);
+        context.lineWidth = outlinePx * 2;
+        context.strokeText(text, x, y);
+        context.shadowColor = 'transparent'; // Shadow once, behind the outline
+    }
+
+    context.fillStyle = toCss(style.color);
+    context.fillText(text, x, y);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.anisotropy = renderer ? renderer.capabilities.getMaxAnisotropy() : 1;
+
+    const worldWidth = canvas.width / scale / toPx;
+    const worldHeight = canvas.height / scale / toPx;
+    const geometry = new THREE.PlaneGeometry(worldWidth, worldHeight);
+    const material = new THREE.MeshBasicMaterial({
+        map: texture,
+        transparent: true,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+
+    return new THREE.Mesh(geometry, material);
+}
+
+/**
+ * Width of a line of canvas text in world units (without outline or padding).
+ * @param {string} text - The text.
+ * @param {Object} style - Label style (see createCanvasText).
+ * @returns {number} The width.
+ */
+export function measureCanvasText(text, style) {
+    const { toPx, cssFont } = getCanvasFont(style);
+    if (!measureContext) measureContext = document.createElement('canvas').getContext('2d');
+
+    measureContext.font = cssFont;
+    return measureContext.measureText(text).width / toPx;
+}
+
+/**
+ * Canvas font size and CSS font string for a label style.
+ * @param {Object} style - Label style (see createCanvasText).
+ * @returns {{ fontPx: number, toPx: number, cssFont: string }} toPx converts world units to pixels.
+ */
+function getCanvasFont(style) {
+    const fontPx = Math.max(MIN_FONT_PX, Math.round(style.size * PIXELS_PER_UNIT));
+    return {
+        fontPx,
+        toPx: fontPx / style.size,
+        cssFont: `${style.fontWeight ?? 'bold'} ${fontPx}px ${style.fontFamily}`
+    };
+}
+
+/**
+ * Converts a hex color (0xffffff) or CSS string into a CSS color.
+ * @param {number|string} color - The color.
+ * @returns {string} CSS color string.
+ */
+function toCss(color) {
+    return typeof color === 'string' ? color : `#${new THREE.Color(color).getHexString()}`;
+}
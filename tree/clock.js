@@ -0,0 +1,71 @@
+/**
+ * tree/clock.js - Shared animation clock
+ *
+ * Everything that moves (camera, free camera, wind, seasons) reads its time
+ * from here instead of counting frames or calling Date.now(), so it runs at
+ * the same speed at 30, 60 or 144 Hz:
+ * - tickClock() once per frame, at the top of the animation loop (index.js)
+ * - getDelta() for per-frame movement: speed (units per second) * delta
+ * - getElapsedTime() for timed animations (start time + duration)
+ * - damp() for easing towards a target with a time constant
+ *
+ * The clock only advances while the loop runs. index.js stops the loop while
+ * the tab is hidden and calls resetClock(), so animations pause there and
+ * pick up where they left off instead of jumping.
+ */
+
+const MAX_DELTA = 0.1; // Seconds; a long stall (breakpoint, busy main thread) counts as this much
+
+let elapsed = 0;      // Seconds of animation so far
+let delta = 0;        // Seconds since the previous tick
+let lastTick = null;  // performance.now() of the previous tick, in seconds (null = none yet)
+
+/**
+ * Advances the clock. Call once per animation frame.
+ * @param {number} [now=performance.now()] - Current time in milliseconds.
+ * @returns {number} Seconds since the previous tick (0 on the first tick after a reset).
+ */
+export function tickClock(now = performance.now()) {
+    const seconds = now / 1000;
+    delta = lastTick === null ? 0 : Math.min(Math.max(seconds - lastTick, 0), MAX_DELTA);
+    lastTick = seconds;
+    elapsed += delta;
+    return delta;
+}
+
+/**
+ * Forgets the last tick, so the time until the next one doesn't count.
+ * Call whenever the animation loop stops (tree mode closed, tab hidden).
+ */
+export function resetClock() {
+    lastTick = null;
+    delta = 0;
+}
+
+/**
+ * @returns {number} Seconds between the last two ticks.
+ */
+export function getDelta() {
+    return delta;
+}
+
+/**
+ * @returns {number} Seconds of animation so far (time with the loop stopped doesn't count).
+ */
+export function getElapsedTime() {
+    return elapsed;
+}
+
+/**
+ * Moves a value towards a target by the same amount per second at any frame
+ * rate: after timeConstant seconds it has covered ~63% of the distance,
+ * after three time constants ~95%.
+ * @param {number} current - The value now.
+ * @param {number} target - The value it is heading to.
+ * @param {number} timeConstant - Seconds; smaller follows more tightly.
+ * @param {number} [dt=getDelta()] - Seconds to advance.
+ * @returns {number} The new value.
+ */
+export function damp(current, target, timeConstant, dt = delta) {
+    return target + (current - target) * Math.exp(-dt / timeConstant);
+}
@@ -1,55 +1,52 @@
 /**
  * tree/content.js - Text content displayed on the tree
  *
+ * The sections come from the "tree" list in content.json (loaded and
+ * validated by ../content.js, which also feeds the HTML article).
+ *
  * Each section has:
+ * - id: (optional) Name in links like #tree/what-i-believe (see route.js);
+ *   keep it the same in every translation
  * - str: The heading text
  * - x, y, z: 3D position (y increases going up the tree)
- * - detail: Smaller subtitle text
+ * - detail: Smaller text below the heading. A paragraph string, or an array
+ *   of paragraphs; entries starting with "- " become bullet items.
+ *   Text wraps automatically, so no manual line breaks are needed.
+ *   An entry can be { text, action } to make it clickable.
+ * - action: (optional) Makes the heading clickable. One of
+ *   { type: 'mailto', value: address }, { type: 'url', value: href },
+ *   { type: 'copy', value: text } or { type: 'section', value: index or heading }
+ *   (see interaction.js)
+ * - align: (optional) 'left', 'center' (default) or 'right'
+ * - maxWidth: (optional) Wrap width of the details in world units (default 27)
+ * - panels: (optional) Media next to the text, each one of
+ *   { type: 'card', title, blurb, image, link }   project card with thumbnail
+ *   { type: 'image', src, link }                  picture
+ *   { type: 'video', src, loop }                  muted looping video
+ *   plus optional width, aspect (width / height; images and videos are
+ *   cropped to fill it), mount ('trunk' or 'branch'), angle (radians from
+ *   the label's side) and y (offset from the heading). See panels.js.
+ * - fixed: (optional) true to skip the automatic label layout
+ * - dwell: (optional) Seconds the auto-tour rests here (see tour.js)
  *
  * Positions are tuned so text faces outward from the trunk.
- * Edit these to change what appears in tree mode.
+ * The label layout (labelLayout.js) keeps each y, treats x/z as the preferred
+ * side and distance, and nudges the text clear of branches and leaves.
+ * Text can be in any script (e.g. "Find Me · 找到我"); the default canvas
+ * label renderer draws it with the system fonts (see labels.js).
+ * Edit content.json to change what appears in tree mode (and
+ * content.<locale>.json for its translations).
  */
 
-export const texts = [
-    {
-        str: "Where I Stand",
-        x: 18.00, y: 5.00, z: 0.00,
-        detail: [
-            "Standing on the shoulders of giants.",
-            "Thousands of years of accumulated progress",
-            "made this moment possible."
-        ]
-    },
-    {
-        str: "What I Make",
-        x: -15.79, y: 29.00, z: 0.20,
-        detail: [
-            "I build products, models, and strategy.",
-            "Tools that extend what people can do."
-        ]
-    },
-    {
-        str: "What I Carry",
-        x: 16.73, y: 55.00, z: 0.36,
-        detail: [
-            "What makes a good life when labor has no value?",
-            "Are we post-ideology?",
-            "How many geniuses were lost to circumstance?"
-        ]
-    },
-    {
-        str: "What I Believe",
-        x: -17.77, y: 79.00, z: -0.03,
-        detail: [
-            "Technology does not change the hardware -",
-            "it changes what hardware can accomplish.",
-            "Writing let average intelligence",
-            "accumulate across generations."
-        ]
-    },
-    {
-        str: "Find Me",
-        x: 18.00, y: 104.00, z: 0.00,
-        detail: ["jroliver02@gmail.com"]
-    }
-];
+import { content } from '../content.js';
+
+export let texts = content.tree;
+export let ui = content.ui; // Interface strings (loading bar, toast, tour, gamepad, HUD, panels)
+
+/**
+ * Picks up the current locale's sections and strings after setLocale().
+ */
+export function refreshContent() {
+    texts = content.tree;
+    ui = content.ui;
+}
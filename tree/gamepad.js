@@ -0,0 +1,141 @@
+/**
+ * tree/gamepad.js - Gamepad navigation (Gamepad API)
+ *
+ * With a controller in the browser's "standard" layout:
+ * - A or Start: leave the intro
+ * - D-pad up/down, RB/LB: next/previous section (moveSection)
+ * - Either stick, up/down: scrub along the guided path like scrolling
+ * - Free camera (editor.js): left stick moves, right stick looks, triggers
+ *   rise and sink, all with analog speed (setFreeCameraAnalog)
+ * Any button or stick also pauses the auto-tour, like other input.
+ *
+ * pollGamepad() runs every frame and reads navigator.getGamepads(), so a
+ * mocked navigator.getGamepads() drives everything, connecting included.
+ * Connecting or disconnecting a controller is noticed by the same poll and
+ * shown in #gamepad-status.
+ */
+
+import { startGuidedMode, moveSection, scrubProgress, getIsIntroMode } from './camera.js';
+import { getDelta } from './clock.js';
+import { pauseTour } from './tour.js';
+import { ui } from './content.js';
+import { isFreeCamera, setFreeCameraAnalog } from '../editor.js';
+
+// Standard gamepad layout (https://w3c.github.io/gamepad/#remapping)
+const BUTTONS = { a: 0, lb: 4, rb: 5, lt: 6, rt: 7, start: 9, up: 12, down: 13 };
+const AXES = { leftX: 0, leftY: 1, rightX: 2, rightY: 3 };
+
+const DEAD_ZONE = 0.15;              // Stick travel ignored around the center
+const SCRUB_SPEED = 0.25;            // Scroll progress per second with a stick all the way up
+const DISCONNECT_NOTICE_MS = 3000;   // How long "disconnected" stays up
+
+let padIndex = null;       // navigator.getGamepads() index of the controller in use
+let wasPressed = [];       // Its buttons last frame, so a press fires once
+let statusTimeout = null;
+
+/**
+ * Reads the controller and applies it. Called every frame from the animation loop.
+ * @param {THREE.Camera} camera - The camera (to leave the intro).
+ */
+export function pollGamepad(camera) {
+    const pad = findGamepad();
+    if (!pad) return;
+
+    const previous = wasPressed;
+    const pressed = pad.buttons.map(button => button.pressed);
+    const justPressed = name => pressed[BUTTONS[name]] && !previous[BUTTONS[name]];
+    wasPressed = pressed;
+
+    const stick = name => applyDeadZone(pad.axes[AXES[name]] ?? 0);
+    const trigger = name => pad.buttons[BUTTONS[name]]?.value ?? 0;
+    if (pressed.some(Boolean) || Object.keys(AXES).some(name => stick(name) !== 0)) pauseTour();
+
+    if (getIsIntroMode()) {
+        if (justPressed('a') || justPressed('start')) startGuidedMode(camera);
+        return;
+    }
+
+    if (isFreeCamera()) {
+        // Stick up is negative
+        setFreeCameraAnalog({
+            forward: -stick('leftY'),
+            strafe: stick('leftX'),
+            rise: trigger('rt') - trigger('lt'),
+            yaw: -stick('rightX'),
+            pitch: -stick('rightY')
+        });
+        return;
+    }
+    setFreeCameraAnalog(null);
+
+    if (justPressed('up') || justPressed('rb')) moveSection(1);
+    if (justPressed('down') || justPressed('lb')) moveSection(-1);
+
+    // Whichever stick is pushed further scrubs (up = up the tree)
+    const left = stick('leftY');
+    const right = stick('rightY');
+    const scrub = Math.abs(left) >= Math.abs(right) ? left : right;
+    if (scrub !== 0) scrubProgress(-scrub * SCRUB_SPEED * getDelta());
+}
+
+/**
+ * Forgets the controller and hides its status (tree mode closed). It is
+ * picked up again on the next poll if it's still connected.
+ */
+export function resetGamepad() {
+    padIndex = null;
+    wasPressed = [];
+    setFreeCameraAnalog(null);
+    showStatus(null);
+}
+
+/**
+ * The controller in use: the one from last frame if it's still there, else
+ * the first connected one. Announces connects and disconnects.
+ * @returns {Gamepad|null} The controller, or null if none is connected.
+ */
+function findGamepad() {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    const current = padIndex === null ? null : pads[padIndex];
+    if (current && current.connected) return current;
+
+    if (padIndex !== null) {
+        padIndex = null;
+        setFreeCameraAnalog(null);
+        showStatus(ui.gamepadDisconnected, DISCONNECT_NOTICE_MS);
+    }
+
+    const pad = pads.find(candidate => candidate && candidate.connected);
+    if (!pad) return null;
+
+    padIndex = pad.index;
+    wasPressed = pad.buttons.map(button => button.pressed); // Buttons held while connecting don't count
+    showStatus(ui.gamepadConnected);
+    return pad;
+}
+
+/**
+ * @param {number} value - Stick axis, -1 to 1.
+ * @returns {number} The axis with the dead zone cut out, still reaching ±1.
+ */
+function applyDeadZone(value) {
+    if (Math.abs(value) < DEAD_ZONE) return 0;
+    return Math.sign(value) * (Math.abs(value) - DEAD_ZONE) / (1 - DEAD_ZONE);
+}
+
+/**
+ * Shows the controller status in the corner.
+ * @param {string|null} text - What to show, or null to hide it.
+ * @param {number} [hideAfterMs] - Hide again after this long (default: keep it up).
+ */
+function showStatus(text, hideAfterMs) {
+    const status = document.getElementById('gamepad-status');
+    if (!status) return;
+
+    clearTimeout(statusTimeout);
+    status.textContent = text ? `🎮 ${text}` : '';
+    status.style.display = text ? 'block' : 'none';
+    if (text && hideAfterMs) {
+        statusTimeout = setTimeout(() => { status.style.display = 'none'; }, hideAfterMs);
+    }
+}
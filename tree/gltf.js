@@ -0,0 +1,83 @@
+/**
+ * tree/gltf.js - Export and import of baked trees (.glb)
+ *
+ * Export: The editor (press G in Edit Mode) downloads the current tree with
+ * its labels and the moon as a .glb, ready for Blender or to ship as a
+ * static asset.
+ *
+ * Import: With ?tree=<path>.glb (or BAKED_TREE_URL set below) tree mode
+ * loads that file instead of running generateTree(). userData (labels,
+ * seed, dimensions) round-trips through glTF "extras", so editor.js and the
+ * camera keep working on a baked tree.
+ */
+
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+
+// Ship a frozen tree by pointing this at a .glb (null = generate procedurally)
+export const BAKED_TREE_URL = null;
+
+/**
+ * Reads the baked tree to load from the URL (?tree=trees/colossus.glb).
+ * @returns {string|null} URL of the .glb, or null to generate the tree.
+ */
+export function resolveBakedTreeUrl() {
+    const param = new URLSearchParams(window.location.search).get('tree');
+    return param || BAKED_TREE_URL;
+}
+
+/**
+ * Exports objects as a binary glTF and downloads it.
+ * @param {THREE.Object3D[]} objects - Objects to export (e.g. the tree group and the moon).
+ * @param {string} [filename='tree.glb'] - Name of the downloaded file.
+ * @returns {Promise<void>} Resolves once the download has started.
+ */
+export function downloadGLB(objects, filename = 'tree.glb') {
+    const exporter = new GLTFExporter();
+
+    return new Promise((resolve, reject) => {
+        exporter.parse(objects, (glb) => {
+            const blob = new Blob([glb], { type: 'model/gltf-binary' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+
+            // Give the browser a moment to start the download before revoking
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            resolve();
+        }, reject, { binary: true });
+    });
+}
+
+/**
+ * Loads a baked tree exported by downloadGLB().
+ * @param {string} url - URL of the .glb.
+ * @returns {Promise<{ tree: THREE.Object3D, moon: THREE.Mesh|null, labels: THREE.Mesh[] }>}
+ *   The tree group, the moon (if exported) and the label meshes inside the tree.
+ */
+export function loadBakedTree(url) {
+    const loader = new GLTFLoader();
+
+    return loader.loadAsync(url).then((gltf) => {
+        const root = gltf.scene;
+        const tree = root.getObjectByName('tree') || root;
+
+        let moon = null;
+        root.traverse((object) => {
+            if (object.userData.label === 'Moon') moon = object;
+        });
+
+        const labels = [];
+        tree.traverse((object) => {
+            if (object.isMesh && object.userData.label && object !== moon) labels.push(object);
+        });
+
+        if (moon) moon.removeFromParent();
+        tree.removeFromParent();
+
+        return { tree, moon, labels };
+    });
+}
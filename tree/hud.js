@@ -0,0 +1,155 @@
+/**
+ * tree/hud.js - Section list and trunk minimap in guided mode
+ *
+ * Shows every guided stop by its section heading from content.json (plus
+ * the canopy finale) so visitors can see how many there are and where they
+ * are. The entry nearest the camera is highlighted as it moves, and clicking
+ * one flies straight there.
+ *
+ * Next to the list, a small vertical minimap of the trunk marks each stop's
+ * height and the camera's current height.
+ *
+ * The list is rebuilt whenever the stops or the language change, and hidden
+ * in the intro.
+ */
+
+import { goToSection, getSectionCount, getSectionProgress, getScrollProgress, getGuidedPose, getIsIntroMode } from './camera.js';
+import { pauseTour } from './tour.js';
+import { texts, ui } from './content.js';
+
+let renderedTexts = null;  // Sections the list was built from (rebuilt when they change)
+let renderedCount = 0;     // Stops it was built for
+let stopHeights = [];      // Camera height at each stop
+let activeIndex = -1;      // Highlighted entry
+let isShown = false;
+
+/**
+ * Updates the HUD for this frame: builds it if the stops changed, highlights
+ * the current section and moves the camera marker.
+ * Called every frame from the animation loop.
+ * @param {THREE.Camera} camera - The scene camera.
+ */
+export function updateHud(camera) {
+    const hud = document.getElementById('tree-hud');
+    if (!hud) return;
+
+    const count = getSectionCount();
+    const show = !getIsIntroMode() && count > 0;
+    if (show !== isShown) {
+        isShown = show;
+        hud.style.display = show ? 'flex' : 'none';
+    }
+    if (!show) return;
+
+    if (texts !== renderedTexts || count !== renderedCount) buildHud(hud, count);
+
+    // Stops move when the labels are laid out or a camera path is loaded
+    const heights = Array.from({ length: count }, (item, index) => getGuidedPose(getSectionProgress(index)).position.y);
+    if (heights.some((height, index) => height !== stopHeights[index])) placeStops(heights);
+
+    setActive(Math.round(getScrollProgress() * Math.max(0, count - 1)));
+
+    const marker = document.getElementById('hud-camera-marker');
+    if (marker) marker.style.bottom = `${getMinimapPercent(camera.position.y)}%`;
+}
+
+/**
+ * Hides the HUD and forgets it, so it's rebuilt next time (tree mode closed).
+ */
+export function resetHud() {
+    const hud = document.getElementById('tree-hud');
+    if (hud) hud.style.display = 'none';
+
+    renderedTexts = null;
+    renderedCount = 0;
+    activeIndex = -1;
+    isShown = false;
+}
+
+/**
+ * Builds the section list and the minimap's stop ticks.
+ * @param {HTMLElement} hud - The #tree-hud element.
+ * @param {number} count - Number of guided stops.
+ */
+function buildHud(hud, count) {
+    renderedTexts = texts;
+    renderedCount = count;
+    activeIndex = -1;
+
+    stopHeights = [];
+    hud.setAttribute('aria-label', ui.sections);
+
+    const list = document.getElementById('hud-sections');
+    const ticks = document.getElementById('hud-stops');
+    list.innerHTML = '';
+    ticks.innerHTML = '';
+
+    for (let index = 0; index < count; index++) {
+        const button = document.createElement('button');
+        button.textContent = getStopTitle(index);
+        button.addEventListener('click', () => {
+            pauseTour();
+            goToSection(index);
+        });
+
+        const item = document.createElement('li');
+        item.appendChild(button);
+        list.appendChild(item);
+
+        const tick = document.createElement('div');
+        tick.className = 'hud-stop';
+        ticks.appendChild(tick);
+    }
+}
+
+/**
+ * Puts the minimap's ticks at the stops' heights, scaled so the last stop is at the top.
+ * @param {number[]} heights - Camera height at each stop.
+ */
+function placeStops(heights) {
+    stopHeights = heights;
+    Array.from(document.getElementById('hud-stops').children).forEach((tick, index) => {
+        tick.style.bottom = `${getMinimapPercent(heights[index])}%`;
+    });
+}
+
+/**
+ * @param {number} height - World height.
+ * @returns {number} Its position up the minimap, 0-100 (the last stop is 100).
+ */
+function getMinimapPercent(height) {
+    const top = stopHeights[stopHeights.length - 1] || 1;
+    return Math.min(Math.max(height / top, 0), 1) * 100;
+}
+
+/**
+ * Highlights one entry in the list and its tick on the minimap.
+ * @param {number} index - Stop index.
+ */
+function setActive(index) {
+    if (index === activeIndex) return;
+    activeIndex = index;
+
+    const items = document.getElementById('hud-sections').children;
+    const ticks = document.getElementById('hud-stops').children;
+    Array.from(items).forEach((item, i) => {
+        item.classList.toggle('is-active', i === index);
+        if (i === index) {
+            item.firstChild.setAttribute('aria-current', 'step');
+        } else {
+            item.firstChild.removeAttribute('aria-current');
+        }
+    });
+    Array.from(ticks).forEach((tick, i) => tick.classList.toggle('is-active', i === index));
+}
+
+/**
+ * @param {number} index - Stop index.
+ * @returns {string} The section's heading, "Canopy" for the finale, or the
+ *   stop number for extra stops of an authored camera path.
+ */
+function getStopTitle(index) {
+    if (index < texts.length) return texts[index].str;
+    if (index === texts.length) return ui.canopy;
+    return String(index + 1);
+}
@@ -2,16 +2,44 @@
  * tree/index.js - Main orchestrator for the 3D tree experience
  *
  * Coordinates all tree mode functionality:
- * - Toggling tree mode on/off
+ * - Toggling tree mode on/off (nav button, Escape, or the URL hash)
+ * - Starting the auto-tour from the intro, and pausing it on any input (see tour.js)
+ * - Polling a gamepad for navigation every frame (see gamepad.js)
+ * - The section list and trunk minimap in guided mode (see hud.js)
+ * - Dragging to look around a stop (see inspect.js; touch is in camera.js)
+ * - Keeping the URL on the current section (#tree/find-me) so it can be
+ *   linked, reloaded, and left with the back button (see route.js)
  * - Initializing the 3D scene, tree geometry, and text labels
- * - Running the animation loop
+ * - Running the animation loop on the shared clock (clock.js), paused
+ *   while the tab is hidden
  * - Syncing dark/light mode with the scene lighting
+ * - Rebuilding the labels and panels when the language changes
+ * - Tearing everything down again when tree mode is turned off
  */
 
-import { initScene, updateSceneLighting, createMoon, scene, camera, renderer } from './sceneSetup.js';
-import { generateTree, loadText } from './treeGeometry.js';
-import { updateCamera, resetCameraState, startGuidedMode, moveSection, onWheel, getIsIntroMode, onTouchStart, onTouchMove, onTouchEnd } from './camera.js';
-import { initEditor, isFreeCamera } from '../editor.js';
+import { initScene, disposeScene, disposeObject, updateSceneLighting, createMoon, scene, camera, renderer } from './sceneSetup.js';
+import { refreshContent } from './content.js';
+import { generateTree } from './treeGeometry.js';
+import { loadText } from './labels.js';
+import { updateCamera, setTreeDimensions, setSectionStops, setCameraKeyframes, clearCameraPath, getFramingPosition, resetCameraState, startGuidedMode, moveSection, goToSection, getCurrentSection, onWheel, getIsIntroMode, onTouchStart, onTouchMove, onTouchEnd } from './camera.js';
+import { tickClock, resetClock, getElapsedTime } from './clock.js';
+import { startTour, pauseTour, toggleTour, stopTour, updateTour, renderTour } from './tour.js';
+import { pollGamepad, resetGamepad } from './gamepad.js';
+import { updateHud, resetHud } from './hud.js';
+import { startDrag, dragTo, release, isDragging } from './inspect.js';
+import { updateWind, applyWind } from './wind.js';
+import { initSeasons, updateSeasons, resolveSeason } from './seasons.js';
+import { layoutLabels, getSectionAnchors } from './labelLayout.js';
+import { createTerrain } from './terrain.js';
+import { createPanels, updatePanels, disposePanels } from './panels.js';
+import { resolveBakedTreeUrl, loadBakedTree } from './gltf.js';
+import { resolveCameraPathUrl, loadCameraPath } from './cameraPath.js';
+import { resolveSeed } from './random.js';
+import { resolveSpecies } from './species.js';
+import { initLabelInteraction } from './interaction.js';
+import { parseRoute, getRouteHash, writeRoute } from './route.js';
+import { initEditor, disposeEditor, isFreeCamera, isEditing, setTreeSeed } from '../editor.js';
+import { reducedMotion } from '../motion.js';
 
 // State
 let isTreeModeActive = false;
@@ -20,40 +48,141 @@ const container = document.getElementById('tree-canvas-container');
 let treeGroup;
 let textMeshes = [];
 let isInitialized = false;
+let animationFrameId = null;
+let listenerController = null; // Aborting this removes every listener added by init()
+let labelBuild = 0; // Increments per buildLabels(), so a slower earlier build can be dropped
+let routedSection; // Section last written to the URL (null = intro)
+let treeModeListener = null;
 
 /**
- * Toggles the 3D tree visualization on or off.
- * Manages the DOM elements for the intro message and controls.
- * Starts the animation loop if activating.
+ * Toggles the 3D tree visualization on or off (the nav button).
+ * Adds a history entry either way, so back undoes the toggle.
  */
 export function toggleTreeMode() {
-    isTreeModeActive = !isTreeModeActive;
+    if (isTreeModeActive) {
+        closeTreeMode();
+    } else {
+        openTreeMode(null);
+        writeRoute(getRouteHash(null), true);
+    }
+}
 
-    const introMsg = document.getElementById('intro-message');
-    const controls = document.getElementById('tree-controls');
+/**
+ * Registers the function told whenever tree mode opens or closes
+ * (including via Escape and back/forward), e.g. to relabel the nav button.
+ * @param {function(boolean): void} listener - Receives true when tree mode opens.
+ */
+export function onTreeModeChange(listener) {
+    treeModeListener = listener;
+}
 
-    if (isTreeModeActive) {
-        container.style.display = 'block';
-        document.body.style.overflow = 'hidden'; // Prevent background scrolling
-        if (!isInitialized) {
-            init();
-            isInitialized = true;
-        }
+/**
+ * Follows the URL hash from now on (back/forward, edited links) and applies
+ * the current one, so a reload or shared link lands in tree mode.
+ */
+export function initTreeRouting() {
+    window.addEventListener('hashchange', applyRoute);
+    applyRoute();
+}
 
-        // Reset to Intro Mode
-        resetCameraState();
+/**
+ * Opens or closes tree mode and moves to the section named by the URL hash.
+ */
+function applyRoute() {
+    const route = parseRoute();
 
-        if (introMsg) introMsg.style.display = 'block';
-        if (controls) controls.style.display = 'none';
+    if (!route.tree) {
+        if (isTreeModeActive) destroyTreeMode();
+        return;
+    }
+    if (!isTreeModeActive) {
+        openTreeMode(route.section);
+        return;
+    }
+    if (route.section === null) return;
 
-        animate();
+    if (getIsIntroMode()) {
+        startGuidedMode(camera, route.section);
     } else {
-        container.style.display = 'none';
-        document.body.style.overflow = 'auto';
-        if (introMsg) introMsg.style.display = 'none';
+        goToSection(route.section);
     }
 }
 
+/**
+ * Shows the 3D tree visualization and starts the animation loop.
+ * Manages the DOM elements for the intro message and controls.
+ * @param {number|null} section - Section to start at (skipping the intro orbit), or null for the intro.
+ */
+function openTreeMode(section) {
+    isTreeModeActive = true;
+
+    const introMsg = document.getElementById('intro-message');
+    const controls = document.getElementById('tree-controls');
+
+    container.style.display = 'block';
+    document.body.style.overflow = 'hidden'; // Prevent background scrolling
+    if (!isInitialized) {
+        init();
+        isInitialized = true;
+    }
+
+    // Reset to Intro Mode
+    resetCameraState();
+    stopTour();
+    routedSection = undefined;
+
+    if (introMsg) introMsg.style.display = 'flex';
+    if (controls) controls.style.display = 'none';
+
+    // Linked straight to a section: a short flight instead of the intro orbit
+    if (section !== null) startGuidedMode(camera, section);
+
+    animate();
+    if (treeModeListener) treeModeListener(true);
+}
+
+/**
+ * Leaves tree mode (nav button or Escape) with a history entry for the article.
+ */
+function closeTreeMode() {
+    destroyTreeMode();
+    writeRoute('', true);
+}
+
+/**
+ * Turns tree mode off and frees everything init() created: the animation loop,
+ * GPU resources, the canvas, and all listeners from here and editor.js.
+ * The next toggleTreeMode() re-initializes from scratch.
+ */
+export function destroyTreeMode() {
+    const wasActive = isTreeModeActive;
+    isTreeModeActive = false;
+
+    stopAnimation();
+    stopTour();
+    resetGamepad();
+    resetHud();
+    clearCameraPath();
+
+    container.style.display = 'none';
+    document.body.style.overflow = 'auto';
+    const introMsg = document.getElementById('intro-message');
+    if (introMsg) introMsg.style.display = 'none';
+    if (wasActive && treeModeListener) treeModeListener(false);
+
+    if (!isInitialized) return;
+
+    listenerController.abort();
+    listenerController = null;
+    disposeEditor();
+    disposePanels();
+    disposeScene();
+
+    treeGroup = null;
+    textMeshes = [];
+    isInitialized = false;
+}
+
 // Export function to sync with dark mode toggle
 /**
  * Updates the scene lighting to match the website's dark/light mode.
@@ -66,11 +195,37 @@ export function setDarkMode(darkModeEnabled) {
     }
 }
 
+/**
+ * Shows the current locale's sections (call after setLocale()). If tree mode
+ * is open, its labels and panels are rebuilt in place; the tree, camera and
+ * everything else stay as they are.
+ */
+export function refreshTreeContent() {
+    refreshContent();
+    if (!isInitialized || !treeGroup) return;
+
+    // Drop the old labels and panels (the moon stays)
+    const stale = textMeshes.filter(mesh => mesh.userData.section !== undefined || mesh.userData.panel !== undefined);
+    stale.forEach(mesh => {
+        textMeshes.splice(textMeshes.indexOf(mesh), 1);
+        if (mesh.userData.section === undefined) return; // Panels are freed by createPanels()
+        mesh.removeFromParent();
+        disposeObject(mesh);
+    });
+
+    createPanels(scene, treeGroup, textMeshes);
+    buildLabels();
+    renderTour();
+}
+
 /**
  * Initializes the 3D scene, geometry, and event listeners.
- * Only called once when tree mode is first activated.
+ * Called when tree mode is activated after being off (see destroyTreeMode).
  */
 function init() {
+    listenerController = new AbortController();
+    const { signal } = listenerController;
+
     // Scene Setup
     initScene(container);
 
@@ -80,32 +235,105 @@ function init() {
     // Set initial lighting based on mode
     updateSceneLighting(isDarkMode);
 
-    // Generate Colossal Tree
-    treeGroup = generateTree(scene);
-
-    // Generate Moon
-    const moonMesh = createMoon();
-    textMeshes.push(moonMesh); // Add moon to editable meshes
+    // Load a pre-baked tree (?tree=<file>.glb) or generate one
+    const bakedTreeUrl = resolveBakedTreeUrl();
+    if (bakedTreeUrl) {
+        const session = listenerController;
+        loadBakedTree(bakedTreeUrl).then((baked) => {
+            if (session !== listenerController) return; // Tree mode closed meanwhile
+            addBakedTree(baked);
+        }).catch((err) => {
+            console.error(`Failed to load baked tree "${bakedTreeUrl}", generating one instead:`, err);
+            if (session === listenerController) buildTree();
+        });
+    } else {
+        buildTree();
+    }
 
-    // Generate Text
-    loadText(treeGroup, textMeshes);
+    // Follow an authored camera path (?path=<file>.json) instead of the sections
+    const cameraPathUrl = resolveCameraPathUrl();
+    if (cameraPathUrl) {
+        const session = listenerController;
+        loadCameraPath(cameraPathUrl).then((keyframes) => {
+            if (session === listenerController) setCameraKeyframes(keyframes); // Unless tree mode closed meanwhile
+        }).catch((err) => {
+            console.error(`Failed to load camera path "${cameraPathUrl}", following the sections instead:`, err);
+        });
+    }
 
     // Event Listeners
-    window.addEventListener('wheel', (e) => onWheel(e, isTreeModeActive, isFreeCamera, camera), { passive: false });
+    window.addEventListener('wheel', (e) => {
+        pauseTour();
+        onWheel(e, isTreeModeActive, isFreeCamera, camera);
+    }, { passive: false, signal });
 
     // Touch event listeners for mobile navigation
-    container.addEventListener('touchstart', (e) => onTouchStart(e, isTreeModeActive), { passive: true });
-    container.addEventListener('touchmove', (e) => onTouchMove(e, isTreeModeActive), { passive: false });
-    container.addEventListener('touchend', (e) => onTouchEnd(e, isTreeModeActive), { passive: true });
+    container.addEventListener('touchstart', (e) => onTouchStart(e, isTreeModeActive), { passive: true, signal });
+    container.addEventListener('touchmove', (e) => onTouchMove(e, isTreeModeActive), { passive: false, signal });
+    container.addEventListener('touchend', (e) => onTouchEnd(e, isTreeModeActive), { passive: true, signal });
+
+    // Pause while the tab is hidden; animations resume where they left off
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            stopAnimation();
+        } else if (isTreeModeActive && animationFrameId === null) {
+            animate();
+        }
+    }, { signal });
 
     // Button Listeners
-    document.getElementById('tree-up').addEventListener('click', () => moveSection(1));
-    document.getElementById('tree-down').addEventListener('click', () => moveSection(-1));
+    document.getElementById('tree-up').addEventListener('click', () => {
+        pauseTour();
+        moveSection(1);
+    }, { signal });
+    document.getElementById('tree-down').addEventListener('click', () => {
+        pauseTour();
+        moveSection(-1);
+    }, { signal });
+
+    // Auto-tour: start from the intro, pause/resume from its bar
+    document.getElementById('tour-start').addEventListener('click', () => {
+        if (!getIsIntroMode()) return;
+        startGuidedMode(camera);
+        startTour();
+    }, { signal });
+    document.getElementById('tour-toggle').addEventListener('click', toggleTour, { signal });
+
+    // Clicks on the scene (labels, panels) take over from the tour
+    renderer.domElement.addEventListener('pointerdown', pauseTour, { signal });
+
+    // Mouse drag orbits around the current stop (touch is handled with the swipes in camera.js)
+    renderer.domElement.addEventListener('pointerdown', (e) => {
+        if (e.pointerType !== 'mouse' || e.button !== 0) return;
+        if (!isTreeModeActive || getIsIntroMode() || isFreeCamera() || isEditing()) return; // Edit mode drags labels
+        startDrag(e.clientX, e.clientY);
+    }, { signal });
+    window.addEventListener('pointermove', (e) => {
+        if (e.pointerType !== 'mouse' || !isDragging()) return;
+        if (e.buttons & 1) {
+            dragTo(e.clientX, e.clientY);
+        } else {
+            release(); // The button came up where we didn't see it (e.g. during alt-tab)
+        }
+    }, { signal });
+    window.addEventListener('pointerup', (e) => {
+        if (e.pointerType === 'mouse') release();
+    }, { signal });
 
     // Key Listener for Intro + Arrow Navigation
     window.addEventListener('keydown', (e) => {
         if (!isTreeModeActive) return;
 
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeTreeMode();
+            return;
+        }
+
+        // Let Enter/Space press the tour buttons themselves
+        if (isTourButton(e.target)) return;
+        pauseTour();
+
         if (getIsIntroMode()) {
             e.preventDefault();
             startGuidedMode(camera);
@@ -123,34 +351,155 @@ function init() {
             e.preventDefault();
             moveSection(-1);
         }
-    });
+    }, { signal });
 
     // Touch Listener for Intro (mobile support)
     container.addEventListener('touchstart', (e) => {
-        if (!isTreeModeActive) return;
+        if (!isTreeModeActive || isTourButton(e.target)) return;
+        pauseTour();
         if (getIsIntroMode()) {
             e.preventDefault();
             startGuidedMode(camera);
         }
-    }, { passive: false });
+    }, { passive: false, signal });
+
+    // Clickable labels (links, copy, jump to section) in guided mode
+    initLabelInteraction(camera, renderer, textMeshes,
+        () => isTreeModeActive && !getIsIntroMode() && !isFreeCamera() && !isEditing(), signal);
 
     // Edit Mode Setup
     initEditor(scene, camera, renderer, textMeshes, () => isTreeModeActive);
 }
 
+/**
+ * Generates the tree, moon and labels procedurally.
+ */
+function buildTree() {
+    // Generate Colossal Tree (same seed = same tree, so tuned labels stay clear)
+    treeGroup = generateTree(scene, resolveSeed(), resolveSpecies());
+    setTreeDimensions(treeGroup.userData.dimensions);
+    setTreeSeed(treeGroup.userData.seed, treeGroup.userData.species);
+
+    // Island, roots, grass and rocks for the tree to stand on
+    createTerrain(scene, treeGroup);
+
+    // Project cards, images and videos (before the labels, so they lay out around them)
+    createPanels(scene, treeGroup, textMeshes);
+
+    // Foliage palette, canopy density and falling particles for the season
+    initSeasons(scene, treeGroup, resolveSeason());
+
+    // Generate Moon
+    const moonMesh = createMoon();
+    textMeshes.push(moonMesh); // Add moon to editable meshes
+
+    // Generate Text, then move each label clear of branches and leaves
+    buildLabels();
+}
+
+/**
+ * Builds the section labels, lays them out and points the camera stops at them.
+ */
+function buildLabels() {
+    const labelTree = treeGroup;
+    const build = ++labelBuild;
+    const labels = [];
+    setSectionStops(getSectionAnchors(treeGroup, textMeshes)); // Content positions until the labels are laid out
+
+    loadText(treeGroup, labels).then((loaded) => {
+        if (!loaded || labelTree !== treeGroup) return; // Tree mode closed meanwhile
+        if (build !== labelBuild) {
+            // The language changed again while these were loading
+            labels.forEach(mesh => {
+                mesh.removeFromParent();
+                disposeObject(mesh);
+            });
+            return;
+        }
+
+        textMeshes.push(...labels);
+        layoutLabels(treeGroup, textMeshes, getFramingPosition);
+        setSectionStops(getSectionAnchors(treeGroup, textMeshes));
+    }).catch((err) => console.error('Failed to build labels:', err));
+}
+
+/**
+ * Adds a tree loaded from a .glb. Its labels and moon are already in place,
+ * so no font loading, layout or seasons run; the leaves still sway.
+ * @param {Object} baked - Result of loadBakedTree() ({ tree, moon, labels }).
+ */
+function addBakedTree({ tree, moon, labels }) {
+    treeGroup = tree;
+    scene.add(treeGroup);
+
+    if (treeGroup.userData.dimensions) setTreeDimensions(treeGroup.userData.dimensions);
+    setTreeSeed(treeGroup.userData.seed ?? 'baked', treeGroup.userData.species);
+
+    createTerrain(scene, treeGroup);
+    createPanels(scene, treeGroup, textMeshes);
+
+    const leaves = treeGroup.getObjectByName('leaves');
+    if (leaves) applyWind(leaves.material);
+
+    textMeshes.push(createMoon(moon));
+    textMeshes.push(...labels);
+    setSectionStops(getSectionAnchors(treeGroup, textMeshes));
+}
+
+/**
+ * @param {EventTarget} target - Target of a key or touch event.
+ * @returns {boolean} True for the tour's own buttons, which handle their input themselves.
+ */
+function isTourButton(target) {
+    return target instanceof Element && target.closest('#tour-start, #tour-bar') !== null;
+}
+
+/**
+ * Keeps the URL hash on the current section. Replaces the history entry,
+ * so scrolling through sections doesn't fill up the back button.
+ */
+function syncRoute() {
+    const section = getIsIntroMode() ? null : getCurrentSection();
+    if (section === routedSection) return;
+
+    routedSection = section;
+    writeRoute(getRouteHash(section));
+}
+
+/**
+ * Stops the animation loop; time until it restarts doesn't count (see clock.js).
+ */
+function stopAnimation() {
+    if (animationFrameId !== null) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+    resetClock();
+}
+
 /**
  * The main animation loop.
- * Handles camera updates and rendering.
+ * Handles camera updates, wind and rendering.
  */
 function animate() {
     if (!isTreeModeActive) return;
-    requestAnimationFrame(animate);
+    animationFrameId = requestAnimationFrame(animate);
+
+    const delta = tickClock();
+    const time = getElapsedTime();
 
+    pollGamepad(camera);
+    updateTour();
     updateCamera(camera, isTreeModeActive, isFreeCamera);
+    updatePanels(camera);
+    updateHud(camera);
+    syncRoute();
 
-    // Simple idle animation
-    if (treeGroup) {
-        // treeGroup.rotation.y += 0.001; // Disable rotation for now to focus on nav
+    // Idle animation: leaves sway in the wind, petals/leaves/snow fall
+    // (held still with reduced motion, see motion.js)
+    if (!reducedMotion) {
+        updateWind(time, delta);
+        updateSeasons(time, delta);
     }
 
     renderer.render(scene, camera);
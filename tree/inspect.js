@@ -0,0 +1,159 @@
+/**
+ * tree/inspect.js - Look around a guided stop (orbit and zoom)
+ *
+ * In guided mode visitors can turn the view a little around the current stop
+ * and move in or out, without leaving the path:
+ * - Mouse: drag to orbit, ctrl+wheel (or a trackpad pinch) to zoom
+ * - Touch: one finger sideways to orbit (up/down still scrolls), two-finger
+ *   pinch to zoom (see the touch handling in camera.js)
+ * Orbiting is limited to MAX_YAW either side and MAX_PITCH up or down, and
+ * zoom to MIN_ZOOM-MAX_ZOOM times the stop's viewing distance.
+ *
+ * When the visitor lets go, or after INSPECT_TIMEOUT without input (the
+ * wheel has no "let go"), the camera springs back to the guided framing.
+ * camera.js applies the offsets to the guided pose (applyInspection).
+ */
+
+import * as THREE from 'three';
+import { getDelta, damp } from './clock.js';
+import { reducedMotion } from '../motion.js';
+
+const MAX_YAW = Math.PI / 4;     // Radians either side of the stop
+const MAX_PITCH = Math.PI / 8;   // Radians up or down
+const MIN_ZOOM = 0.5;            // Closest, as a fraction of the stop's distance
+const MAX_ZOOM = 1.6;            // Farthest
+const ORBIT_PER_PIXEL = 0.005;   // Radians per pixel dragged
+const ZOOM_PER_WHEEL = 0.002;    // Zoom (exponential) per wheel pixel
+const INSPECT_TIMEOUT = 4;       // Seconds without input before springing back anyway
+const SPRING_BACK_TIME = 0.3;    // Seconds (time constant) to return to the framing
+const UP = new THREE.Vector3(0, 1, 0);
+
+let yaw = 0;            // Radians around the look-at target
+let pitch = 0;          // Radians up from the stop's view
+let zoom = 1;           // Distance factor
+let dragFrom = null;    // { x, y } of the pointer while dragging
+let idleTime = 0;       // Seconds since the last orbit or zoom input
+let springDelay = 0;    // Seconds of idleTime before springing back
+
+/**
+ * Starts orbiting (mouse down, or a one-finger sideways pan).
+ * @param {number} x - Pointer x in pixels.
+ * @param {number} y - Pointer y in pixels.
+ */
+export function startDrag(x, y) {
+    dragFrom = { x, y };
+    hold();
+}
+
+/**
+ * Orbits by how far the pointer moved since the last call.
+ * @param {number} x - Pointer x in pixels.
+ * @param {number} y - Pointer y in pixels.
+ */
+export function dragTo(x, y) {
+    if (!dragFrom) return;
+
+    // The view follows the drag, like turning the tree by hand
+    yaw = THREE.MathUtils.clamp(yaw - (x - dragFrom.x) * ORBIT_PER_PIXEL, -MAX_YAW, MAX_YAW);
+    pitch = THREE.MathUtils.clamp(pitch + (y - dragFrom.y) * ORBIT_PER_PIXEL, -MAX_PITCH, MAX_PITCH);
+    dragFrom = { x, y };
+    hold();
+}
+
+/**
+ * Zooms in (factor < 1) or out (factor > 1) from the current zoom.
+ * @param {number} factor - Multiplies the viewing distance (e.g. old / new pinch spread).
+ */
+export function zoomBy(factor) {
+    zoom = THREE.MathUtils.clamp(zoom * factor, MIN_ZOOM, MAX_ZOOM);
+    hold();
+}
+
+/**
+ * Zooms for a ctrl+wheel event (trackpad pinches arrive as these too).
+ * @param {number} deltaY - The wheel event's deltaY (positive = out).
+ */
+export function zoomByWheel(deltaY) {
+    zoomBy(Math.exp(deltaY * ZOOM_PER_WHEEL));
+}
+
+/**
+ * @returns {boolean} True between startDrag() and release().
+ */
+export function isDragging() {
+    return dragFrom !== null;
+}
+
+/**
+ * Lets go (mouse up, last finger lifted): the camera springs back now.
+ */
+export function release() {
+    dragFrom = null;
+    springDelay = 0;
+    idleTime = 0;
+}
+
+/**
+ * Drops any orbit and zoom at once (camera reset).
+ */
+export function resetInspection() {
+    yaw = 0;
+    pitch = 0;
+    zoom = 1;
+    dragFrom = null;
+    idleTime = 0;
+    springDelay = 0;
+}
+
+/**
+ * Springs back towards the guided framing once the visitor has let go.
+ * Called every guided frame from camera.js.
+ */
+export function updateInspection() {
+    idleTime += getDelta();
+    if (idleTime < springDelay || (yaw === 0 && pitch === 0 && zoom === 1)) return;
+
+    if (reducedMotion) {
+        resetInspection();
+        return;
+    }
+
+    yaw = settle(damp(yaw, 0, SPRING_BACK_TIME), 0);
+    pitch = settle(damp(pitch, 0, SPRING_BACK_TIME), 0);
+    zoom = settle(damp(zoom, 1, SPRING_BACK_TIME), 1);
+}
+
+/**
+ * Applies the orbit and zoom to a guided pose.
+ * @param {Object} pose - { position, lookAt, fov, roll } (see getGuidedPose in camera.js).
+ * @returns {Object} The pose, with the camera moved around its look-at target.
+ */
+export function applyInspection(pose) {
+    if (yaw === 0 && pitch === 0 && zoom === 1) return pose;
+
+    const offset = pose.position.clone().sub(pose.lookAt).multiplyScalar(zoom);
+    offset.applyAxisAngle(UP, yaw);
+
+    // Tilt over the horizontal axis across the view
+    const across = new THREE.Vector3().crossVectors(offset, UP).normalize();
+    offset.applyAxisAngle(across, pitch);
+
+    return { ...pose, position: pose.lookAt.clone().add(offset) };
+}
+
+/**
+ * Keeps the view where the visitor put it while they're still using it.
+ */
+function hold() {
+    idleTime = 0;
+    springDelay = INSPECT_TIMEOUT;
+}
+
+/**
+ * @param {number} value - A springing value.
+ * @param {number} rest - Where it springs to.
+ * @returns {number} The value, or exactly rest once it's close enough not to show.
+ */
+function settle(value, rest) {
+    return Math.abs(value - rest) < 1e-4 ? rest : value;
+}
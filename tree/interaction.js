@@ -0,0 +1,164 @@
+/**
+ * tree/interaction.js - Clickable labels in guided mode
+ *
+ * Labels whose content entry declares an `action` (see content.js) react to
+ * the pointer: hovering tints them and shows a pointer cursor, and a click or
+ * tap runs the action:
+ * - mailto:  Opens the mail client ({ type: 'mailto', value: 'me@example.com' })
+ * - url:     Opens a page in a new tab ({ type: 'url', value: 'https://…' })
+ * - copy:    Copies text to the clipboard ({ type: 'copy', value: '…' })
+ * - section: Flies to another section by index or heading ({ type: 'section', value: 'Find Me' })
+ *
+ * Picking uses the same raycasting as editor.js. Edit Mode and the free
+ * camera keep the pointer to themselves.
+ */
+
+import * as THREE from 'three';
+import { texts, ui } from './content.js';
+import { formatText } from '../content.js';
+import { goToSection } from './camera.js';
+
+const HOVER_COLOR = new THREE.Color(0x9fd3ff);
+const TAP_DISTANCE = 10;       // Pixels a press may move and still count as a click
+const TAP_DURATION_MS = 500;
+const TOAST_DURATION_MS = 2000;
+
+// === Interaction State ===
+let camera, renderer, textMeshes, canInteract;
+let hoveredMesh = null;
+const hoveredColor = new THREE.Color(); // Original color of the hovered label
+let pressStart = null;                  // { x, y, time } of the current press
+let toastTimeout = null;
+
+// === Input Helpers ===
+const raycaster = new THREE.Raycaster();
+const pointer = new THREE.Vector2();
+
+/**
+ * Starts listening for hovers and clicks on labels with actions.
+ * @param {THREE.Camera} cameraRef - The scene camera.
+ * @param {THREE.WebGLRenderer} rendererRef - Renderer whose canvas receives the pointer.
+ * @param {THREE.Object3D[]} textMeshesRef - Labels (and the moon); only ones with userData.action react.
+ * @param {function(): boolean} canInteractRef - Whether labels should react right now (guided mode).
+ * @param {AbortSignal} signal - Aborting it removes the listeners.
+ */
+export function initLabelInteraction(cameraRef, rendererRef, textMeshesRef, canInteractRef, signal) {
+    camera = cameraRef;
+    renderer = rendererRef;
+    textMeshes = textMeshesRef;
+    canInteract = canInteractRef;
+    hoveredMesh = null;
+    pressStart = null;
+
+    const canvas = renderer.domElement;
+    canvas.addEventListener('pointermove', onPointerMove, { signal });
+    canvas.addEventListener('pointerdown', onPointerDown, { signal });
+    canvas.addEventListener('pointerup', onPointerUp, { signal });
+    canvas.addEventListener('pointerleave', () => setHovered(null), { signal });
+    signal.addEventListener('abort', () => {
+        clearTimeout(toastTimeout);
+        hoveredMesh = null;
+    });
+}
+
+/**
+ * Finds the clickable label under the pointer.
+ * @param {PointerEvent} event - The pointer event.
+ * @returns {THREE.Mesh|null} The label, or null.
+ */
+function pickLabel(event) {
+    const rect = renderer.domElement.getBoundingClientRect();
+    pointer.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    pointer.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+    raycaster.setFromCamera(pointer, camera);
+    const intersects = raycaster.intersectObjects(textMeshes.filter(mesh => mesh.userData.action), false);
+    return intersects.length > 0 ? intersects[0].object : null;
+}
+
+function onPointerMove(event) {
+    if (event.pointerType !== 'mouse') return; // No hover on touch
+    setHovered(canInteract() ? pickLabel(event) : null);
+}
+
+function onPointerDown(event) {
+    // A press that starts the tour from the intro isn't a click on a label
+    pressStart = canInteract() ? { x: event.clientX, y: event.clientY, time: performance.now() } : null;
+}
+
+function onPointerUp(event) {
+    if (!pressStart || !canInteract()) return;
+
+    // Ignore drags and swipes (those scroll the camera)
+    const moved = Math.hypot(event.clientX - pressStart.x, event.clientY - pressStart.y);
+    const held = performance.now() - pressStart.time;
+    pressStart = null;
+    if (moved > TAP_DISTANCE || held > TAP_DURATION_MS) return;
+
+    const mesh = pickLabel(event);
+    if (mesh) runAction(mesh.userData.action);
+}
+
+/**
+ * Tints the hovered label and switches the cursor; restores the previous one.
+ * @param {THREE.Mesh|null} mesh - Label under the pointer, or null.
+ */
+function setHovered(mesh) {
+    if (mesh === hoveredMesh) return;
+
+    if (hoveredMesh) hoveredMesh.material.color.copy(hoveredColor);
+    hoveredMesh = mesh;
+
+    if (mesh) {
+        hoveredColor.copy(mesh.material.color);
+        mesh.material.color.copy(HOVER_COLOR);
+    }
+    if (renderer) renderer.domElement.style.cursor = mesh ? 'pointer' : '';
+}
+
+/**
+ * Runs a label's action.
+ * @param {Object} action - { type: 'mailto'|'url'|'copy'|'section', value }.
+ */
+function runAction({ type, value }) {
+    switch (type) {
+        case 'mailto':
+            window.location.href = `mailto:${value}`;
+            break;
+        case 'url':
+            window.open(value, '_blank', 'noopener');
+            break;
+        case 'copy':
+            navigator.clipboard.writeText(value).then(() => {
+                showToast(formatText(ui.copied, { value }));
+            }).catch(err => {
+                console.error('Failed to copy to clipboard:', err);
+            });
+            break;
+        case 'section': {
+            const index = typeof value === 'number' ? value : texts.findIndex(item => item.str === value);
+            if (index === -1) {
+                console.warn(`Label action: no section "${value}".`);
+                return;
+            }
+            goToSection(index);
+            break;
+        }
+        default:
+            console.warn(`Label action: unknown type "${type}".`);
+    }
+}
+
+/**
+ * Shows a short confirmation at the bottom of the tree view.
+ * @param {string} message - Text to show.
+ */
+function showToast(message) {
+    const toast = document.getElementById('tree-toast');
+    if (!toast) return;
+
+    toast.textContent = message;
+    toast.style.display = 'block';
+    clearTimeout(toastTimeout);
+    toastTimeout = setTimeout(() => { toast.style.display = 'none'; }, TOAST_DURATION_MS);
+}
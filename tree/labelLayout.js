@@ -0,0 +1,266 @@
+/**
+ * tree/labelLayout.js - Collision-free placement of the section labels
+ *
+ * Runs after generateTree() and loadText(). Each section keeps its height,
+ * and its hand-tuned x/z in content.js only sets a preferred side (angle)
+ * and distance. The layout then searches nearby angles and radii for a spot
+ * where the whole text block (heading + details) stays clear of the trunk,
+ * branches and leaf clusters, and where nothing blocks the view from the
+ * guided camera's stop for that section. The stop sits straight out from the
+ * label (see getFramingPosition), so each candidate spot is judged from its
+ * own viewpoint. getSectionAnchors() then hands the final spots to the camera.
+ *
+ * Set `fixed: true` on a section in content.js to keep its exact position.
+ */
+
+import * as THREE from 'three';
+import { texts } from './content.js';
+import { getTreeColliders } from './treeGeometry.js';
+import { getLabelScale } from './labels.js';
+
+// === Layout Settings ===
+const CLEARANCE = 1.5;       // Minimum gap between text and any part of the tree
+const ANGLE_STEP = 0.12;     // Radians between candidate angles
+const MAX_ANGLE_SHIFT = 1.2; // Furthest a label may turn from its preferred side
+const RADIUS_STEP = 1;
+const MAX_RADIUS_SHIFT = 20; // Furthest a label may move out from its preferred radius
+const SAMPLES_X = 7;         // Sample grid across the text block
+const SAMPLES_Y = 3;
+
+// Cost weights: prefer small moves, strongly avoid blocked sight lines
+const ANGLE_COST = 10;
+const RADIUS_COST = 1;
+const OCCLUSION_COST = 100;
+
+/**
+ * Moves each section's label meshes to a clear, readable spot around the trunk.
+ * @param {THREE.Group} treeGroup - Tree built by generateTree().
+ * @param {THREE.Mesh[]} textMeshes - Label meshes from loadText() (others are ignored).
+ * @param {function(Object): THREE.Vector3} getViewpoint - Camera position that reads a label
+ *   block at { angle, radius, y } (its direction, distance from the trunk and vertical center).
+ */
+export function layoutLabels(treeGroup, textMeshes, getViewpoint) {
+    const colliders = getTreeColliders(treeGroup);
+    if (!colliders) return;
+
+    texts.forEach((item, sectionIndex) => {
+        if (item.fixed) return;
+
+        const meshes = textMeshes.filter(mesh => mesh.userData.section === sectionIndex);
+        if (meshes.length === 0) return;
+
+        const block = measureBlock(meshes);
+        const placement = findPlacement(block, colliders, getViewpoint);
+
+        if (!placement) {
+            console.warn(`Label layout: no clear spot for "${item.str}", keeping its position.`);
+            return;
+        }
+
+        meshes.forEach(mesh => {
+            mesh.position.x = Math.cos(placement.angle) * placement.radius;
+            mesh.position.z = Math.sin(placement.angle) * placement.radius;
+            mesh.lookAt(0, mesh.position.y, 0); // Face the trunk
+        });
+    });
+}
+
+/**
+ * Where each section's label block sits, for building the camera stops.
+ * Sections whose labels haven't been built yet use their content position.
+ * @param {THREE.Group} treeGroup - The tree the labels belong to.
+ * @param {THREE.Object3D[]} textMeshes - Label meshes (others are ignored).
+ * @returns {{ angle: number, radius: number, y: number }[]} Per section, bottom to top:
+ *   direction around the trunk, distance from it, and the block's vertical center.
+ */
+export function getSectionAnchors(treeGroup, textMeshes) {
+    const labelScale = getLabelScale(treeGroup);
+
+    return texts.map((item, sectionIndex) => {
+        const meshes = textMeshes.filter(mesh => mesh.userData.section === sectionIndex);
+        if (meshes.length > 0) {
+            const block = measureBlock(meshes);
+            return { angle: block.angle, radius: block.radius, y: (block.top + block.bottom) / 2 };
+        }
+
+        return {
+            angle: Math.atan2(item.z, item.x),
+            radius: Math.hypot(item.x, item.z) * labelScale.radial,
+            y: item.y * labelScale.height
+        };
+    });
+}
+
+/**
+ * Measures a section's text block as placed by loadText().
+ * @param {THREE.Mesh[]} meshes - Heading and detail meshes of one section.
+ * @returns {Object} { angle, radius, width, top, bottom } of the block.
+ */
+function measureBlock(meshes) {
+    const heading = meshes[0];
+    let left = Infinity;
+    let right = -Infinity;
+    let top = -Infinity;
+    let bottom = Infinity;
+
+    // Lines share one position and are shifted inside their geometry for alignment
+    meshes.forEach(mesh => {
+        mesh.geometry.computeBoundingBox();
+        const box = mesh.geometry.boundingBox;
+        left = Math.min(left, box.min.x);
+        right = Math.max(right, box.max.x);
+        top = Math.max(top, mesh.position.y + box.max.y);
+        bottom = Math.min(bottom, mesh.position.y + box.min.y);
+    });
+
+    return {
+        angle: Math.atan2(heading.position.z, heading.position.x),
+        radius: Math.hypot(heading.position.x, heading.position.z),
+        width: right - left,
+        top,
+        bottom
+    };
+}
+
+/**
+ * Searches angles and radii around the block's preferred spot.
+ * @param {Object} block - From measureBlock().
+ * @param {Object} colliders - From getTreeColliders().
+ * @param {function(Object): THREE.Vector3} getViewpoint - Camera position for a placement (see layoutLabels).
+ * @returns {{ angle: number, radius: number }|null} Cheapest clear placement, or null.
+ */
+function findPlacement(block, colliders, getViewpoint) {
+    const centerY = (block.top + block.bottom) / 2;
+    const nearby = collidersNear(colliders, block.bottom, block.top, centerY);
+    let best = null;
+
+    for (let shift = 0; shift <= MAX_ANGLE_SHIFT + 1e-6; shift += ANGLE_STEP) {
+        const angles = shift === 0 ? [block.angle] : [block.angle + shift, block.angle - shift];
+
+        for (const angle of angles) {
+            for (let dr = 0; dr <= MAX_RADIUS_SHIFT; dr += RADIUS_STEP) {
+                const radius = block.radius + dr;
+                const baseCost = shift * ANGLE_COST + dr * RADIUS_COST;
+                if (best && baseCost >= best.cost) break; // Only gets more expensive
+
+                const samples = sampleBlock(block, angle, radius);
+                if (samples.some(point => isBlocked(point, nearby, CLEARANCE))) continue;
+
+                // Sight lines to the corners and center are enough to judge readability
+                const viewpoint = getViewpoint({ angle, radius, y: centerY });
+                const corners = [0, SAMPLES_Y - 1, samples.length - SAMPLES_Y, samples.length - 1,
+                    Math.floor(samples.length / 2)].map(index => samples[index]);
+                const occluded = corners.filter(point => isOccluded(viewpoint, point, nearby)).length;
+                const cost = baseCost + (occluded / corners.length) * OCCLUSION_COST;
+
+                if (!best || cost < best.cost) {
+                    best = { angle, radius, cost };
+                }
+                if (occluded === 0) break; // Larger radii at this angle only cost more
+            }
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Points spread over the text block's face at a candidate spot.
+ * The block faces the trunk, so it spans the tangent direction and y.
+ * @param {Object} block - From measureBlock().
+ * @param {number} angle - Candidate angle around the trunk.
+ * @param {number} radius - Candidate distance from the trunk axis.
+ * @returns {THREE.Vector3[]} Sample points.
+ */
+function sampleBlock(block, angle, radius) {
+    const center = new THREE.Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+    const tangent = new THREE.Vector3(-Math.sin(angle), 0, Math.cos(angle));
+    const points = [];
+
+    for (let i = 0; i < SAMPLES_X; i++) {
+        const u = (i / (SAMPLES_X - 1) - 0.5) * block.width;
+        for (let j = 0; j < SAMPLES_Y; j++) {
+            const y = block.bottom + (j / (SAMPLES_Y - 1)) * (block.top - block.bottom);
+            points.push(center.clone().addScaledVector(tangent, u).setY(y));
+        }
+    }
+    return points;
+}
+
+/**
+ * Keeps only the colliders that could touch the block or its sight line.
+ * @param {Object} colliders - From getTreeColliders().
+ * @param {number} bottom - Lowest y of the block.
+ * @param {number} top - Highest y of the block.
+ * @param {number} viewY - Height of the camera.
+ * @returns {Object} Colliders in the same shape, filtered by height.
+ */
+function collidersNear(colliders, bottom, top, viewY) {
+    const low = Math.min(bottom, viewY) - CLEARANCE;
+    const high = Math.max(top, viewY) + CLEARANCE;
+
+    return {
+        trunk: colliders.trunk.filter(c => c.top >= low && c.bottom <= high),
+        branches: colliders.branches.filter(c =>
+            Math.max(c.start.y, c.end.y) + c.radius >= low && Math.min(c.start.y, c.end.y) - c.radius <= high),
+        leaves: colliders.leaves.filter(c => c.center.y + c.radius >= low && c.center.y - c.radius <= high)
+    };
+}
+
+/**
+ * Whether a point is inside (or within `margin` of) any part of the tree.
+ * @param {THREE.Vector3} point - The point to test.
+ * @param {Object} colliders - Colliders to test against.
+ * @param {number} margin - Extra clearance.
+ * @returns {boolean} True if the point is too close.
+ */
+function isBlocked(point, colliders, margin) {
+    for (const c of colliders.trunk) {
+        if (point.y >= c.bottom - margin && point.y <= c.top + margin
+            && Math.hypot(point.x - c.x, point.z - c.z) < c.radius + margin) {
+            return true;
+        }
+    }
+    for (const c of colliders.branches) {
+        if (distanceToSegment(point, c.start, c.end) < c.radius + margin) return true;
+    }
+    for (const c of colliders.leaves) {
+        if (point.distanceTo(c.center) < c.radius + margin) return true;
+    }
+    return false;
+}
+
+/**
+ * Whether the sight line from the camera to a point passes through the tree.
+ * Checked by stepping along the line (the volumes are large, so steps of 1 unit are enough).
+ * @param {THREE.Vector3} from - Camera position.
+ * @param {THREE.Vector3} to - Point on the label.
+ * @param {Object} colliders - Colliders to test against.
+ * @returns {boolean} True if something is in the way.
+ */
+function isOccluded(from, to, colliders) {
+    const distance = from.distanceTo(to);
+    const steps = Math.ceil(distance);
+    const point = new THREE.Vector3();
+
+    // Stop short of the label itself so its own clearance zone doesn't count
+    for (let i = 1; i < steps - CLEARANCE; i++) {
+        point.lerpVectors(from, to, i / steps);
+        if (isBlocked(point, colliders, 0)) return true;
+    }
+    return false;
+}
+
+/**
+ * Shortest distance from a point to a line segment.
+ * @param {THREE.Vector3} point - The point.
+ * @param {THREE.Vector3} start - Segment start.
+ * @param {THREE.Vector3} end - Segment end.
+ * @returns {number} The distance.
+ */
+function distanceToSegment(point, start, end) {
+    const line = new THREE.Line3(start, end);
+    const closest = new THREE.Vector3();
+    line.closestPointToPoint(point, true, closest);
+    return point.distanceTo(closest);
+}
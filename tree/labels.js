@@ -0,0 +1,358 @@
+/**
+ * tree/labels.js - The section labels that float around the tree
+ *
+ * Builds a heading plus detail lines for every section in content.js with
+ * one of two renderers:
+ * - 'canvas' (default): Text drawn on canvas textures (canvasText.js). Any
+ *   Unicode script works, so labels can be bilingual, with optional
+ *   outline and shadow.
+ * - 'geometry': Extruded TextGeometry from the bundled typeface fonts in
+ *   /fonts, loaded through a THREE.LoadingManager that drives the loading
+ *   bar in tree mode. Lines the font can't draw (e.g. CJK), and every line
+ *   if the font fails to load, fall back to canvas text.
+ *
+ * Pick the renderer with LABEL_RENDERER or ?labels=canvas|geometry.
+ * Each label type (heading, detail) has its own style in LABEL_STYLES.
+ */
+
+import * as THREE from 'three';
+import { FontLoader } from 'three/addons/loaders/FontLoader.js';
+import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { texts, ui } from './content.js';
+import { getTrunkHeight, REFERENCE_SPECIES } from './species.js';
+import { createCanvasText, measureCanvasText } from './canvasText.js';
+import { wrapText, wrapParagraphs } from './textWrap.js';
+
+export const LABEL_RENDERER = 'canvas'; // 'canvas' or 'geometry'
+
+const BUNDLED_FONT = new URL('../fonts/helvetiker_bold.typeface.json', import.meta.url).href;
+
+// Latin first, then CJK system fonts for Chinese/Japanese/Korean lines
+const FONT_FAMILY = 'Helvetica, Arial, "PingFang SC", "Hiragino Sans GB", "Noto Sans CJK SC", "Microsoft YaHei", sans-serif';
+
+// === Label Styles ===
+// font:       typeface.json for the 'geometry' renderer (relative to this file or absolute)
+// height:     Extrusion depth ('geometry' only)
+// fontFamily: CSS font family for the 'canvas' renderer and the fallback
+// outline:    { width, color } around canvas text, or null
+// shadow:     { color, blur, offsetX, offsetY } behind canvas text, or null
+// lineHeight: Line spacing as a multiple of size
+// maxWidth:   Lines wrap to this width in world units
+export const LABEL_STYLES = {
+    heading: {
+        font: BUNDLED_FONT,
+        fontFamily: FONT_FAMILY,
+        size: 2,
+        height: 0.2,
+        color: 0xffffff,
+        lineHeight: 1.25,
+        maxWidth: 30,
+        outline: { width: 0.08, color: 'rgba(0, 0, 0, 0.6)' },
+        shadow: { color: 'rgba(0, 0, 0, 0.5)', blur: 0.15, offsetX: 0, offsetY: 0.05 }
+    },
+    detail: {
+        font: BUNDLED_FONT,
+        fontFamily: FONT_FAMILY,
+        size: 0.8,
+        height: 0.1,
+        color: 0xcccccc, // Slightly dimmer for detail text
+        lineHeight: 1.75,
+        maxWidth: 27,
+        outline: { width: 0.05, color: 'rgba(0, 0, 0, 0.6)' },
+        shadow: null
+    }
+};
+
+const DETAIL_GAP = 0.55;       // Space between the heading block and the details
+const FALLBACK_NOTICE_MS = 4000;
+
+/**
+ * How far to stretch the hand-tuned label positions for the current species.
+ * Also used by panels.js so panels stay next to their section.
+ * @param {THREE.Group} treeGroup - Tree built by generateTree().
+ * @returns {{ height: number, radial: number }} Multipliers for y and for x/z.
+ */
+export function getLabelScale(treeGroup) {
+    const dimensions = treeGroup.userData.dimensions;
+    if (!dimensions) return { height: 1, radial: 1 };
+
+    return {
+        height: dimensions.trunkHeight / getTrunkHeight(REFERENCE_SPECIES),
+        radial: dimensions.baseRadius / REFERENCE_SPECIES.trunk.baseRadius
+    };
+}
+
+/**
+ * Reads the label renderer from the URL (?labels=geometry), falling back to LABEL_RENDERER.
+ * @returns {string} 'canvas' or 'geometry'.
+ */
+export function resolveLabelRenderer() {
+    const param = new URLSearchParams(window.location.search).get('labels');
+    return param === 'canvas' || param === 'geometry' ? param : LABEL_RENDERER;
+}
+
+/**
+ * Builds a heading + detail lines for each section in content.js.
+ * The 'geometry' renderer loads its fonts first and falls back to canvas text
+ * for any label type whose font fails to load.
+ * Every mesh gets userData.label (for the editor) and userData.section (content index).
+ * @param {THREE.Group} treeGroup - Tree to attach the labels to.
+ * @param {THREE.Mesh[]} textMeshes - Editable meshes; the labels are pushed here.
+ * @param {string} [mode=resolveLabelRenderer()] - 'canvas' or 'geometry'.
+ * @returns {Promise<boolean>} Resolves once the labels exist (false if tree mode closed first).
+ */
+export function loadText(treeGroup, textMeshes, mode = resolveLabelRenderer()) {
+    const ready = mode === 'geometry' ? loadFonts() : waitForPageFonts();
+
+    return ready.then((fonts) => {
+        // Tree mode was torn down while the fonts were loading
+        if (!treeGroup.parent) return false;
+
+        const labelScale = getLabelScale(treeGroup);
+        const makers = {
+            heading: createLabelMaker(LABEL_STYLES.heading, fonts.heading),
+            detail: createLabelMaker(LABEL_STYLES.detail, fonts.detail)
+        };
+
+        texts.forEach((content, sectionIndex) => {
+            // Positions are tuned for the colossus; adapt them to this species
+            const item = {
+                ...content,
+                x: content.x * labelScale.radial,
+                y: content.y * labelScale.height,
+                z: content.z * labelScale.radial
+            };
+
+            buildSection(item, makers).forEach((mesh) => {
+                mesh.userData.section = sectionIndex;
+                textMeshes.push(mesh);
+                treeGroup.add(mesh);
+            });
+        });
+
+        return true;
+    });
+}
+
+/**
+ * Loads every font in LABEL_STYLES once, reporting progress on the loading bar.
+ * Never rejects: a font that fails to load comes back as null.
+ * @returns {Promise<{ heading: Font|null, detail: Font|null }>} Fonts per label type.
+ */
+function loadFonts() {
+    const urls = [...new Set(Object.values(LABEL_STYLES).map(style => style.font))];
+    const received = new Map(urls.map(url => [url, 0])); // Byte progress per file
+    let failed = false;
+
+    const manager = new THREE.LoadingManager();
+    manager.onStart = () => showLoading(0);
+    manager.onError = (url) => {
+        failed = true;
+        console.error(`Failed to load label font ${url}, falling back to canvas text.`);
+    };
+    manager.onLoad = () => hideLoading(failed);
+
+    const loader = new FontLoader(manager);
+    const onProgress = (url) => (event) => {
+        if (!event.lengthComputable) return;
+        received.set(url, event.loaded / event.total);
+        const total = [...received.values()].reduce((sum, value) => sum + value, 0);
+        showLoading(total / urls.length);
+    };
+
+    const fonts = new Map(urls.map(url => [url, new Promise((resolve) => {
+        loader.load(url, resolve, onProgress(url), () => resolve(null));
+    })]));
+
+    return Promise.all(urls.map(url => fonts.get(url))).then((loaded) => {
+        const byUrl = new Map(urls.map((url, i) => [url, loaded[i]]));
+        return {
+            heading: byUrl.get(LABEL_STYLES.heading.font),
+            detail: byUrl.get(LABEL_STYLES.detail.font)
+        };
+    });
+}
+
+/**
+ * Wraps a section's heading and details into one aligned text block.
+ * The heading's first line sits at item.y; the details start below the
+ * heading's real height, however many lines it wrapped into.
+ * @param {Object} item - Section from content.js (positions already scaled).
+ * @param {Object} makers - Label makers per type, from createLabelMaker().
+ * @returns {THREE.Mesh[]} Heading line(s) first, then detail lines, each with userData.label.
+ */
+function buildSection(item, makers) {
+    const heading = LABEL_STYLES.heading;
+    const detail = LABEL_STYLES.detail;
+
+    const headingLines = wrapText(item.str, heading.maxWidth, makers.heading.measure)
+        .map(text => ({ text, indent: 0, action: item.action ?? null, maker: makers.heading }));
+    const detailLines = item.detail
+        ? wrapParagraphs(item.detail, item.maxWidth ?? detail.maxWidth, makers.detail.measure)
+            .map(line => ({ ...line, maker: makers.detail }))
+        : [];
+
+    // Every line aligns within the widest line of the section
+    const lines = [...headingLines, ...detailLines];
+    lines.forEach(line => { line.width = line.maker.measure(line.text) + line.indent; });
+    const blockWidth = Math.max(...lines.map(line => line.width));
+    const align = item.align ?? 'center';
+
+    const headingStep = heading.size * heading.lineHeight;
+    const detailStep = detail.size * detail.lineHeight;
+    const headingBottom = item.y - (headingLines.length - 0.5) * headingStep;
+    const detailTop = headingBottom - DETAIL_GAP;
+
+    return lines.map((line, index) => {
+        const isHeading = index < headingLines.length;
+        const y = isHeading
+            ? item.y - index * headingStep
+            : detailTop - (index - headingLines.length + 0.5) * detailStep;
+
+        // Clickable lines get their own material so hovering can tint just them
+        const mesh = line.maker.create(line.text, Boolean(line.action));
+        mesh.geometry.translate(getAlignOffset(line, blockWidth, align), 0, 0);
+        placeLabel(mesh, item.x, y, item.z);
+
+        if (index === 0) {
+            mesh.userData.label = item.str;
+        } else if (isHeading) {
+            mesh.userData.label = item.str + ` (heading ${index + 1})`;
+        } else {
+            mesh.userData.label = item.str + ` (detail ${index - headingLines.length + 1})`;
+        }
+        if (line.action) mesh.userData.action = line.action; // See interaction.js
+        return mesh;
+    });
+}
+
+/**
+ * Horizontal shift of a centered line so it lines up with the rest of its block.
+ * @param {Object} line - { width, indent } of the line in world units.
+ * @param {number} blockWidth - Width of the widest line in the block.
+ * @param {string} align - 'left', 'center' or 'right'.
+ * @returns {number} Offset along the text direction.
+ */
+function getAlignOffset(line, blockWidth, align) {
+    const slack = (blockWidth - line.width) / 2;
+    if (align === 'left') return -slack + line.indent / 2;
+    if (align === 'right') return slack + line.indent / 2;
+    return line.indent / 2;
+}
+
+/**
+ * Waits for the page's CSS fonts so canvas text isn't drawn with a placeholder face.
+ * @returns {Promise<{ heading: null, detail: null }>} No typeface fonts (canvas renderer).
+ */
+function waitForPageFonts() {
+    const none = { heading: null, detail: null };
+    if (!document.fonts) return Promise.resolve(none);
+    return document.fonts.ready.then(() => none, () => none);
+}
+
+/**
+ * Returns functions that build and measure label meshes in one style.
+ * Uses extruded TextGeometry when the font is available and has every glyph
+ * of the line, canvas text otherwise.
+ * @param {Object} style - Entry from LABEL_STYLES.
+ * @param {Font|null} font - Loaded font, or null for canvas text.
+ * @returns {{ create: function(string, boolean=): THREE.Mesh, measure: function(string): number }}
+ *   create builds a centered label (pass true for a material of its own instead of the
+ *   shared one); measure returns a string's width in world units.
+ */
+function createLabelMaker(style, font) {
+    if (!font) {
+        return {
+            create: (text) => createCanvasText(text, style),
+            measure: (text) => measureCanvasText(text, style)
+        };
+    }
+
+    const material = new THREE.MeshBasicMaterial({ color: style.color });
+
+    const create = (text, ownMaterial = false) => {
+        if (!hasGlyphs(font, text)) return createCanvasText(text, style);
+
+        const geometry = new TextGeometry(text, {
+            font: font,
+            size: style.size,
+            height: style.height,
+        });
+        geometry.center();
+        return new THREE.Mesh(geometry, ownMaterial ? material.clone() : material);
+    };
+
+    const measure = (text) => {
+        if (!hasGlyphs(font, text)) return measureCanvasText(text, style);
+
+        const { glyphs, resolution } = font.data;
+        const advance = Array.from(text).reduce((sum, char) => sum + (glyphs[char]?.ha ?? 0), 0);
+        return advance * style.size / resolution;
+    };
+
+    return { create, measure };
+}
+
+/**
+ * Whether a typeface font can draw every character of a string.
+ * @param {Font} font - Loaded typeface font.
+ * @param {string} text - The text.
+ * @returns {boolean} False if any character is missing (e.g. CJK in helvetiker).
+ */
+function hasGlyphs(font, text) {
+    const glyphs = font.data.glyphs;
+    return Array.from(text).every(char => /\s/.test(char) || glyphs[char]);
+}
+
+/**
+ * Positions a label and turns it to face the trunk.
+ * @param {THREE.Mesh} mesh - The label.
+ * @param {number} x - World x.
+ * @param {number} y - World y.
+ * @param {number} z - World z.
+ */
+function placeLabel(mesh, x, y, z) {
+    mesh.position.set(x, y, z);
+    mesh.lookAt(0, y, 0); // Face the trunk
+
+    // Mirror horizontally to fix reversed text
+    mesh.scale.x = -1;
+}
+
+// === Loading Indicator ===
+
+/**
+ * Shows the loading bar in tree mode.
+ * @param {number} progress - 0 to 1.
+ */
+function showLoading(progress) {
+    const indicator = document.getElementById('tree-loading');
+    const fill = document.getElementById('tree-loading-fill');
+    if (!indicator) return;
+
+    indicator.classList.remove('is-error');
+    indicator.style.display = 'block';
+    if (fill) fill.style.width = `${Math.round(progress * 100)}%`;
+}
+
+/**
+ * Hides the loading bar, or briefly explains the plain labels if a font failed.
+ * @param {boolean} failed - True if any font failed to load.
+ */
+function hideLoading(failed) {
+    const indicator = document.getElementById('tree-loading');
+    const text = document.getElementById('tree-loading-text');
+    if (!indicator) return;
+
+    if (!failed) {
+        indicator.style.display = 'none';
+        return;
+    }
+
+    indicator.classList.add('is-error');
+    if (text) text.textContent = ui.fontsUnavailable;
+    setTimeout(() => {
+        indicator.style.display = 'none';
+        if (text) text.textContent = ui.loadingLabels;
+    }, FALLBACK_NOTICE_MS);
+}
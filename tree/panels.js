@@ -0,0 +1,471 @@
+/**
+ * tree/panels.js - Media panels next to the section labels
+ *
+ * A section in content.js can list `panels`:
+ * - card:  Project card with a thumbnail, title, short blurb and link
+ * - image: A picture
+ * - video: A muted, looping video
+ *
+ * Panels sit flat against the trunk (mount: 'trunk', default) or hang on two
+ * strings from a nearby branch (mount: 'branch'). Their images and videos
+ * only load once the camera comes close, and videos pause when it moves away
+ * (and don't play at all with reduced motion, see ../motion.js).
+ * Panels with a `link` open it when clicked (see interaction.js).
+ *
+ * Panels live in their own group, so they aren't part of a .glb export.
+ */
+
+import * as THREE from 'three';
+import { texts, ui } from './content.js';
+import { getTreeColliders } from './treeGeometry.js';
+import { getLabelScale } from './labels.js';
+import { wrapText } from './textWrap.js';
+import { disposeObject } from './sceneSetup.js';
+import { reducedMotion } from '../motion.js';
+
+// === Panel Settings ===
+const PIXELS_PER_UNIT = 64;    // Card texture resolution
+const DEFAULT_WIDTH = { card: 9, image: 10, video: 10 };
+const DEFAULT_ASPECT = 16 / 9; // Width / height of image and video panels without an `aspect`
+const SIDE_OFFSET = 1.1;       // Radians from the label's side to the first panels
+const SIDE_STEP = 0.7;         // Further panels fan out by this much
+const TRUNK_GAP = 1.2;         // Distance from the bark
+const HANG_LENGTH = 3;         // String length for panels hanging from branches
+const BRANCH_SEARCH = 15;      // How far above/below a panel to look for a branch
+const LOAD_DISTANCE = 90;      // Camera distance at which media starts loading
+const PLAY_DISTANCE = 120;     // Videos pause beyond this distance
+const PLACEHOLDER_COLOR = 0x2a3440;
+
+// === Panel State ===
+let panels = []; // { mesh, load, loaded, video, knot }
+let group = null;
+let panelColliders = null; // { list, added }: colliders pushed into the tree's branch list
+
+/**
+ * Builds the panels of every section in content.js and adds them to the scene.
+ * Clickable panels are pushed to textMeshes; all panels become tree colliders
+ * so the label layout keeps text off them.
+ * @param {THREE.Scene} scene - Scene to add the panels to.
+ * @param {THREE.Object3D} treeGroup - The tree (generated or baked).
+ * @param {THREE.Object3D[]} textMeshes - Editable meshes; panels are pushed here.
+ */
+export function createPanels(scene, treeGroup, textMeshes) {
+    disposePanels();
+
+    group = new THREE.Group();
+    group.name = 'panels';
+
+    const labelScale = getLabelScale(treeGroup);
+    const colliders = getTreeColliders(treeGroup);
+    if (colliders) panelColliders = { list: colliders.branches, added: [] };
+    // Copied before panels join the list, so no panel hangs from another
+    const branches = colliders ? [...colliders.branches] : null;
+
+    texts.forEach((item, sectionIndex) => {
+        (item.panels || []).forEach((options, index) => {
+            const panel = createPanel(options);
+            const side = index % 2 === 0 ? 1 : -1;
+            const angle = Math.atan2(item.z, item.x) + (options.angle ?? side * (SIDE_OFFSET + SIDE_STEP * Math.floor(index / 2)));
+            const y = item.y * labelScale.height + (options.y ?? 0);
+
+            const hung = options.mount === 'branch' && hangFromBranch(panel, angle, y, branches);
+            if (!hung) {
+                if (options.mount === 'branch') {
+                    console.warn(`Panel "${item.str}" #${index + 1}: no branch nearby, placing it on the trunk.`);
+                }
+                placeOnTrunk(panel, angle, y, treeGroup, colliders);
+            }
+
+            const { mesh } = panel;
+            mesh.userData.label = `${item.str} (panel ${index + 1})`;
+            mesh.userData.panel = sectionIndex;
+            if (options.link) {
+                mesh.userData.action = { type: 'url', value: options.link };
+                textMeshes.push(mesh);
+            }
+
+            if (colliders) {
+                const collider = getPanelCollider(mesh);
+                colliders.branches.push(collider);
+                panelColliders.added.push(collider);
+            }
+            group.add(mesh);
+            panels.push(panel);
+        });
+    });
+
+    scene.add(group);
+}
+
+/**
+ * Starts loading media the camera is close to and plays/pauses videos.
+ * Called once per frame from the animation loop.
+ * @param {THREE.Camera} camera - The scene camera.
+ */
+export function updatePanels(camera) {
+    panels.forEach(panel => {
+        const distance = camera.position.distanceTo(panel.mesh.position);
+
+        if (!panel.loaded && panel.load && distance < LOAD_DISTANCE) {
+            panel.loaded = true;
+            panel.load().catch(err => console.error('Failed to load panel media:', err));
+        }
+
+        if (panel.video && panel.video.src) {
+            const shouldPlay = distance < PLAY_DISTANCE && !reducedMotion; // Reduced motion keeps videos paused
+            if (shouldPlay && panel.video.paused) {
+                panel.video.play().catch(() => {}); // Autoplay can be blocked; it's muted so rarely is
+            } else if (!shouldPlay && !panel.video.paused) {
+                panel.video.pause();
+            }
+        }
+    });
+}
+
+/**
+ * Stops videos, removes the panels from the scene and frees them, and takes
+ * their colliders back out of the tree's. Clickable panels stay in
+ * textMeshes; callers that keep the scene remove them (see refreshTreeContent).
+ */
+export function disposePanels() {
+    panels.forEach(panel => {
+        if (!panel.video) return;
+        panel.video.pause();
+        panel.video.removeAttribute('src');
+        panel.video.load(); // Releases the media resource
+    });
+
+    if (group) {
+        group.removeFromParent();
+        group.traverse(disposeObject);
+    }
+    if (panelColliders) {
+        const { list, added } = panelColliders;
+        added.forEach(collider => list.splice(list.indexOf(collider), 1));
+    }
+
+    panels = [];
+    group = null;
+    panelColliders = null;
+}
+
+/**
+ * Creates the mesh for one panel entry.
+ * @param {Object} options - Panel entry from content.js.
+ * @returns {Object} Panel record (see `panels`).
+ */
+function createPanel(options) {
+    switch (options.type) {
+        case 'card':
+            return createCard(options);
+        case 'video':
+            return createVideoPanel(options);
+        case 'image':
+            return createImagePanel(options);
+        default:
+            console.warn(`Unknown panel type "${options.type}", showing it as an image.`);
+            return createImagePanel(options);
+    }
+}
+
+/**
+ * Project card: thumbnail on top, then title, blurb and a link hint, drawn on one canvas.
+ * The thumbnail is drawn in once it has loaded.
+ * @param {Object} options - { title, blurb, image, link, width }.
+ * @returns {Object} Panel record.
+ */
+function createCard(options) {
+    const width = (options.width ?? DEFAULT_WIDTH.card) * PIXELS_PER_UNIT;
+    const padding = 24;
+    const thumbHeight = Math.round(width / DEFAULT_ASPECT);
+    const titleFont = 'bold 36px Helvetica, Arial, sans-serif';
+    const blurbFont = '24px Helvetica, Arial, sans-serif';
+    const blurbLineHeight = 32;
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    context.font = blurbFont;
+    const blurbLines = options.blurb
+        ? wrapText(options.blurb, width - padding * 2, text => context.measureText(text).width)
+        : [];
+
+    canvas.width = width;
+    canvas.height = thumbHeight + padding + 44 + blurbLines.length * blurbLineHeight
+        + (options.link ? blurbLineHeight + 8 : 0) + padding;
+
+    const draw = (image) => {
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.fillStyle = 'rgba(20, 24, 28, 0.9)';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        if (image) {
+            drawCover(context, image, 0, 0, width, thumbHeight);
+        } else {
+            context.fillStyle = `#${new THREE.Color(PLACEHOLDER_COLOR).getHexString()}`;
+            context.fillRect(0, 0, width, thumbHeight);
+        }
+
+        let y = thumbHeight + padding;
+        context.textBaseline = 'top';
+        context.fillStyle = '#ffffff';
+        context.font = titleFont;
+        context.fillText(options.title ?? '', padding, y);
+        y += 44;
+
+        context.fillStyle = '#cccccc';
+        context.font = blurbFont;
+        blurbLines.forEach(line => {
+            context.fillText(line, padding, y);
+            y += blurbLineHeight;
+        });
+
+        if (options.link) {
+            context.fillStyle = '#9fd3ff';
+            context.fillText(ui.openLink, padding, y + 8);
+        }
+    };
+    draw(null);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const mesh = createPanelMesh(canvas.width / PIXELS_PER_UNIT, canvas.height / PIXELS_PER_UNIT,
+        new THREE.MeshBasicMaterial({ map: texture, transparent: true, side: THREE.DoubleSide }));
+
+    const load = options.image
+        ? () => new THREE.ImageLoader().loadAsync(options.image).then(image => {
+            draw(image);
+            texture.needsUpdate = true;
+        })
+        : null;
+
+    return { mesh, load, loaded: false, video: null };
+}
+
+/**
+ * Image panel: a placeholder plane that gets its texture when the camera comes close.
+ * @param {Object} options - { src, width, aspect }.
+ * @returns {Object} Panel record.
+ */
+function createImagePanel(options) {
+    const width = options.width ?? DEFAULT_WIDTH.image;
+    const aspect = options.aspect ?? DEFAULT_ASPECT;
+    const material = new THREE.MeshBasicMaterial({ color: PLACEHOLDER_COLOR, side: THREE.DoubleSide });
+    const panel = {
+        mesh: createPanelMesh(width, width / aspect, material),
+        loaded: false,
+        video: null
+    };
+
+    panel.load = () => new THREE.TextureLoader().loadAsync(options.src).then(texture => {
+        texture.colorSpace = THREE.SRGBColorSpace;
+        material.map = texture;
+        material.color.set(0xffffff);
+        material.needsUpdate = true;
+        coverPanel(texture, texture.image.width / texture.image.height, aspect);
+    });
+    return panel;
+}
+
+/**
+ * Video panel: muted, looping and inline, so browsers allow it to autoplay.
+ * The video only starts downloading when the camera comes close.
+ * @param {Object} options - { src, width, aspect, loop }.
+ * @returns {Object} Panel record.
+ */
+function createVideoPanel(options) {
+    const width = options.width ?? DEFAULT_WIDTH.video;
+    const aspect = options.aspect ?? DEFAULT_ASPECT;
+    const material = new THREE.MeshBasicMaterial({ color: PLACEHOLDER_COLOR, side: THREE.DoubleSide });
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.loop = options.loop ?? true;
+    video.playsInline = true;
+    video.crossOrigin = 'anonymous';
+    video.preload = 'none';
+
+    const panel = {
+        mesh: createPanelMesh(width, width / aspect, material),
+        loaded: false,
+        video
+    };
+
+    panel.load = () => new Promise((resolve, reject) => {
+        video.addEventListener('loadedmetadata', () => {
+            const texture = new THREE.VideoTexture(video);
+            texture.colorSpace = THREE.SRGBColorSpace;
+            material.map = texture;
+            material.color.set(0xffffff);
+            material.needsUpdate = true;
+            coverPanel(texture, video.videoWidth / video.videoHeight, aspect);
+            resolve();
+        }, { once: true });
+        video.addEventListener('error', () => reject(video.error), { once: true });
+        video.src = options.src;
+    });
+    return panel;
+}
+
+/**
+ * @param {number} width - World width.
+ * @param {number} height - World height.
+ * @param {THREE.Material} material - Panel material.
+ * @returns {THREE.Mesh} A centered plane facing +z.
+ */
+function createPanelMesh(width, height, material) {
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), material);
+    mesh.name = 'panel';
+    return mesh;
+}
+
+/**
+ * Crops a texture so the media fills its panel (CSS object-fit: cover). Panels
+ * keep the size they were built with, so their colliders, and the label layout
+ * that avoids them, stay right after the media loads.
+ * @param {THREE.Texture} texture - The image or video texture.
+ * @param {number} mediaAspect - Width / height of the loaded media.
+ * @param {number} panelAspect - Width / height of the panel.
+ */
+function coverPanel(texture, mediaAspect, panelAspect) {
+    if (!mediaAspect) return;
+
+    const scale = Math.min(panelAspect / mediaAspect, mediaAspect / panelAspect);
+    if (mediaAspect > panelAspect) {
+        texture.repeat.set(scale, 1);  // Wider than the panel: crop the sides
+    } else {
+        texture.repeat.set(1, scale);  // Taller: crop top and bottom
+    }
+    texture.offset.set((1 - texture.repeat.x) / 2, (1 - texture.repeat.y) / 2);
+}
+
+/**
+ * @param {THREE.Mesh} mesh - Panel mesh.
+ * @returns {number} Current world height.
+ */
+function getPanelHeight(mesh) {
+    return mesh.geometry.parameters.height * mesh.scale.y;
+}
+
+/**
+ * Places a panel flat against the trunk, facing out.
+ * @param {Object} panel - Panel record.
+ * @param {number} angle - Direction around the trunk.
+ * @param {number} y - Height of the panel's center.
+ * @param {THREE.Object3D} treeGroup - The tree.
+ * @param {Object|undefined} colliders - Tree colliders (missing for baked trees).
+ */
+function placeOnTrunk(panel, angle, y, treeGroup, colliders) {
+    const segment = colliders?.trunk.find(c => y >= c.bottom && y <= c.top);
+    let center = { x: 0, z: 0 };
+    let radius;
+
+    if (segment) {
+        center = segment;
+        radius = segment.radius;
+    } else {
+        // Baked trees have no colliders: estimate the taper from the dimensions
+        const { baseRadius = 12, trunkHeight = 160 } = treeGroup.userData.dimensions || {};
+        radius = baseRadius * (1 - 0.6 * Math.min(1, Math.max(0, y / trunkHeight)));
+    }
+
+    const distance = radius + TRUNK_GAP;
+    const { mesh } = panel;
+    mesh.position.set(center.x + Math.cos(angle) * distance, y, center.z + Math.sin(angle) * distance);
+    mesh.lookAt(mesh.position.x + Math.cos(angle), y, mesh.position.z + Math.sin(angle)); // Face out
+}
+
+/**
+ * Hangs a panel on two strings from the branch closest to the wanted spot.
+ * @param {Object} panel - Panel record.
+ * @param {number} angle - Preferred direction around the trunk.
+ * @param {number} y - Preferred height of the panel's center.
+ * @param {Object[]|null} branches - The tree's branch colliders (null for baked trees).
+ * @returns {boolean} False if no branch is close enough.
+ */
+function hangFromBranch(panel, angle, y, branches) {
+    if (!branches) return false;
+
+    const { mesh } = panel;
+    const height = getPanelHeight(mesh);
+    const hangY = y + height / 2 + HANG_LENGTH; // Where the strings should start
+    let best = null;
+
+    branches.forEach(branch => {
+        const point = branch.start.clone().lerp(branch.end, 0.6); // Clear of the leaf cluster at the tip
+        if (Math.abs(point.y - hangY) > BRANCH_SEARCH) return;
+        if (point.y - HANG_LENGTH - height < 0) return; // Would touch the ground (or it's a root)
+
+        const pointAngle = Math.atan2(point.z, point.x);
+        const turn = Math.abs(Math.atan2(Math.sin(pointAngle - angle), Math.cos(pointAngle - angle)));
+        const cost = turn * 10 + Math.abs(point.y - hangY);
+        if (!best || cost < best.cost) best = { point, cost };
+    });
+
+    if (!best) return false;
+
+    const { point } = best;
+    const facing = Math.atan2(point.z, point.x);
+    panel.knot = point;
+    mesh.position.set(point.x, point.y - HANG_LENGTH - height / 2, point.z);
+    mesh.lookAt(point.x + Math.cos(facing), mesh.position.y, point.z + Math.sin(facing)); // Face out
+
+    attachStrings(panel);
+    return true;
+}
+
+/**
+ * Builds the two strings from the branch to a hung panel's top corners.
+ * They live in the panel's own space, so they move with it.
+ * @param {Object} panel - Panel record with a knot (point on the branch).
+ */
+function attachStrings(panel) {
+    const { mesh } = panel;
+    mesh.updateMatrixWorld();
+    const halfWidth = mesh.geometry.parameters.width / 2;
+    const top = mesh.geometry.parameters.height / 2;
+    const knot = mesh.worldToLocal(panel.knot.clone());
+
+    const strings = new THREE.LineSegments(
+        new THREE.BufferGeometry().setFromPoints([
+            knot, new THREE.Vector3(-halfWidth * 0.8, top, 0),
+            knot, new THREE.Vector3(halfWidth * 0.8, top, 0)
+        ]),
+        new THREE.LineBasicMaterial({ color: 0x3e2723 })
+    );
+    strings.name = 'panel-strings';
+    mesh.add(strings);
+}
+
+/**
+ * A capsule across the panel's width, for the label layout to avoid.
+ * @param {THREE.Mesh} mesh - Placed panel mesh.
+ * @returns {Object} Branch-style collider { start, end, radius }.
+ */
+function getPanelCollider(mesh) {
+    mesh.updateMatrixWorld();
+    const halfWidth = mesh.geometry.parameters.width / 2;
+    return {
+        start: mesh.localToWorld(new THREE.Vector3(-halfWidth, 0, 0)),
+        end: mesh.localToWorld(new THREE.Vector3(halfWidth, 0, 0)),
+        radius: getPanelHeight(mesh) / 2
+    };
+}
+
+/**
+ * Draws an image so it fills a rectangle, cropping the overflow (CSS object-fit: cover).
+ * @param {CanvasRenderingContext2D} context - Target context.
+ * @param {CanvasImageSource} image - The image.
+ * @param {number} x - Left of the rectangle.
+ * @param {number} y - Top of the rectangle.
+ * @param {number} width - Rectangle width.
+ * @param {number} height - Rectangle height.
+ */
+function drawCover(context, image, x, y, width, height) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const sourceWidth = width / scale;
+    const sourceHeight = height / scale;
+    context.drawImage(image,
+        (image.width - sourceWidth) / 2, (image.height - sourceHeight) / 2, sourceWidth, sourceHeight,
+        x, y, width, height);
+}
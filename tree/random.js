@@ -0,0 +1,69 @@
+/**
+ * tree/random.js - Seeded pseudo-random numbers for tree generation
+ *
+ * Math.random() gives a different tree on every load, which moves branches
+ * into labels that were positioned in the editor. Everything procedural
+ * draws from a seeded generator instead, so one seed = one tree.
+ *
+ * Seed resolution order:
+ * 1. ?seed= URL parameter (numbers or any string)
+ * 2. DEFAULT_SEED below
+ */
+
+// Seed used when the URL has no ?seed=
+export const DEFAULT_SEED = 20240601;
+
+/**
+ * Turns a seed (number or string) into an unsigned 32-bit integer.
+ * Numeric strings are kept as numbers so ?seed=42 and seed 42 match.
+ * @param {number|string} seed - The seed to normalize.
+ * @returns {number} An unsigned 32-bit integer.
+ */
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    const str = String(seed).trim();
+    if (/^\d+$/.test(str)) {
+        return Number(str) >>> 0;
+    }
+
+    // FNV-1a hash for word seeds like ?seed=totoro
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Reads the seed from the URL, falling back to DEFAULT_SEED.
+ * @returns {number} The seed to generate the tree with.
+ */
+export function resolveSeed() {
+    const param = new URLSearchParams(window.location.search).get('seed');
+    if (param !== null && param.trim() !== '') {
+        return normalizeSeed(param);
+    }
+    return DEFAULT_SEED;
+}
+
+/**
+ * Creates a seeded random function (mulberry32).
+ * Drop-in replacement for Math.random(): returns floats in [0, 1).
+ * @param {number|string} seed - The seed to start from.
+ * @returns {function(): number} The random function.
+ */
+export function createRandom(seed) {
+    let state = normalizeSeed(seed);
+
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,95 @@
+/**
+ * tree/route.js - Tree mode and the current section in the URL hash
+ *
+ * Hashes:
+ * - #tree            Tree mode, starting with the intro orbit
+ * - #tree/<section>  Tree mode at a section: its `id` from content.json
+ *                    (#tree/what-i-believe), else its heading as a slug,
+ *                    else its index (#tree/3)
+ * - #tree/canopy     The canopy finale
+ * - #tree/stop-<n>   Stops after the canopy on an authored camera path,
+ *                    numbered from 1 like in the section list (hud.js)
+ * Anything else is the article.
+ *
+ * Section ids are shared by every translation, so a link works in any language.
+ */
+
+import { texts } from './content.js';
+
+const TREE_PREFIX = '#tree';
+const CANOPY_SLUG = 'canopy';
+const STOP_SLUG = /^stop-(\d+)$/;
+
+/**
+ * Reads a hash.
+ * @param {string} [hash=window.location.hash] - The hash, with its '#'.
+ * @returns {{ tree: boolean, section: number|null }} Whether it's a tree-mode hash,
+ *   and the section index it names (null for plain #tree or an unknown section).
+ */
+export function parseRoute(hash = window.location.hash) {
+    const [prefix, encodedSlug] = hash.split('/');
+    if (prefix !== TREE_PREFIX) return { tree: false, section: null };
+    if (!encodedSlug) return { tree: true, section: null };
+
+    let slug;
+    try {
+        slug = decodeURIComponent(encodedSlug);
+    } catch (err) {
+        console.warn(`Tree route: malformed section "${encodedSlug}".`);
+        return { tree: true, section: null };
+    }
+
+    if (slug === CANOPY_SLUG) return { tree: true, section: texts.length };
+    const stop = slug.match(STOP_SLUG);
+    if (stop && Number(stop[1]) > 0) return { tree: true, section: Number(stop[1]) - 1 };
+
+    const index = texts.findIndex((item, i) => getSectionSlug(i) === slug);
+    if (index !== -1) return { tree: true, section: index };
+    if (/^\d+$/.test(slug)) return { tree: true, section: Number(slug) };
+
+    console.warn(`Tree route: no section "${slug}".`);
+    return { tree: true, section: null };
+}
+
+/**
+ * The hash for tree mode at a section.
+ * @param {number|null} index - Section index (texts.length = canopy finale, beyond that
+ *   authored stops), or null for the intro.
+ * @returns {string} The hash, with its '#'.
+ */
+export function getRouteHash(index) {
+    if (index === null) return TREE_PREFIX;
+    let slug = CANOPY_SLUG;
+    if (index < texts.length) slug = getSectionSlug(index);
+    if (index > texts.length) slug = `stop-${index + 1}`;
+    return `${TREE_PREFIX}/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Puts a hash in the address bar without scrolling or firing hashchange.
+ * @param {string} hash - The hash ('' for none).
+ * @param {boolean} [push=false] - True for a new history entry (back returns
+ *   to the previous one), false to replace the current entry.
+ */
+export function writeRoute(hash, push = false) {
+    if (hash === window.location.hash) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (push) {
+        history.pushState(null, '', url);
+    } else {
+        history.replaceState(null, '', url);
+    }
+}
+
+/**
+ * @param {number} index - Section index.
+ * @returns {string} The section's id, heading slug, or index.
+ */
+function getSectionSlug(index) {
+    const item = texts[index];
+    if (item.id) return item.id;
+
+    const slug = item.str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return slug || String(index);
+}
@@ -7,15 +7,21 @@
  * - Light mode: Daytime atmosphere with sunlight (warm tones, no moon)
  *
  * The PS1-style aesthetic is achieved by disabling antialiasing.
+ *
+ * disposeScene() frees everything initScene() created (GPU resources,
+ * the canvas and the resize listener) so tree mode can be rebuilt cleanly.
  */
 
 import * as THREE from 'three';
+import { setWindMood } from './wind.js';
 
 // === Exported Scene Objects ===
 export let scene, camera, renderer;
 export let ambientLight, directionalLight;
 export let moonMesh;
 
+export const DEFAULT_FOV = 60; // Degrees; camera paths can change it per keyframe
+
 /**
  * Initializes the Three.js scene, camera, and renderer.
  * Sets up the canvas and attaches it to the DOM.
@@ -26,7 +32,7 @@ export function initScene(container) {
     scene = new THREE.Scene();
 
     // Camera
-    camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 1000);
+    camera = new THREE.PerspectiveCamera(DEFAULT_FOV, window.innerWidth / window.innerHeight, 0.1, 1000);
 
     // Renderer
     renderer = new THREE.WebGLRenderer({ antialias: false }); // Keep PS1 jaggedness
@@ -42,19 +48,39 @@ export function initScene(container) {
     directionalLight = new THREE.DirectionalLight(0xaaccff, 1.5);
     directionalLight.position.set(50, 100, 50);
     directionalLight.castShadow = true;
+
+    // Cover the whole tree and island (the default shadow box is only 10 units wide)
+    const shadowCamera = directionalLight.shadow.camera;
+    shadowCamera.left = -150;
+    shadowCamera.right = 150;
+    shadowCamera.top = 150;
+    shadowCamera.bottom = -150;
+    shadowCamera.near = 1;
+    shadowCamera.far = 500;
+    directionalLight.shadow.mapSize.set(2048, 2048);
+    directionalLight.shadow.bias = -0.0005;
     scene.add(directionalLight);
 
     // Event Listeners
     window.addEventListener('resize', onWindowResize);
 }
 
-export function createMoon() {
-    const geometry = new THREE.SphereGeometry(5, 32, 32);
-    const material = new THREE.MeshBasicMaterial({ color: 0xffffee }); // Pale yellow/white glow
-    moonMesh = new THREE.Mesh(geometry, material);
+/**
+ * Creates the moon and adds it to the scene.
+ * @param {THREE.Mesh} [bakedMoon] - Moon loaded from a baked .glb, used instead of a new one.
+ * @returns {THREE.Mesh} The moon mesh.
+ */
+export function createMoon(bakedMoon) {
+    if (bakedMoon) {
+        moonMesh = bakedMoon;
+    } else {
+        const geometry = new THREE.SphereGeometry(5, 32, 32);
+        const material = new THREE.MeshBasicMaterial({ color: 0xffffee }); // Pale yellow/white glow
+        moonMesh = new THREE.Mesh(geometry, material);
 
-    // User defined position
-    moonMesh.position.set(-20.40, 215.00, -102.51);
+        // User defined position
+        moonMesh.position.set(-20.40, 215.00, -102.51);
+    }
 
     // Add to scene
     scene.add(moonMesh);
@@ -66,6 +92,9 @@ export function createMoon() {
 export function updateSceneLighting(isDarkMode) {
     if (!scene) return;
 
+    // Brisk breeze by day, calm air at night
+    setWindMood(isDarkMode);
+
     if (isDarkMode) {
         // Nighttime - Totoro/SOTC Night Vibe
         const fogColor = 0x1a2b3c; // Deep midnight blue/teal
@@ -101,6 +130,52 @@ export function updateSceneLighting(isDarkMode) {
     }
 }
 
+/**
+ * Frees all GPU resources held by the scene and removes the renderer.
+ * Safe to call when the scene was never initialized.
+ */
+export function disposeScene() {
+    window.removeEventListener('resize', onWindowResize);
+    if (!scene) return;
+
+    scene.traverse(disposeObject);
+    scene.clear();
+
+    // Free the shadow map render target
+    if (directionalLight) directionalLight.dispose();
+
+    if (renderer) {
+        renderer.dispose();
+        renderer.forceContextLoss(); // Browsers cap live WebGL contexts
+        renderer.domElement.remove();
+    }
+
+    scene = camera = renderer = null;
+    ambientLight = directionalLight = null;
+    moonMesh = null;
+}
+
+/**
+ * Disposes an object's geometry, materials and any textures on those materials.
+ * @param {THREE.Object3D} object - The object to free.
+ */
+export function disposeObject(object) {
+    if (object.geometry) object.geometry.dispose();
+
+    if (object.material) {
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+        materials.forEach(material => {
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) value.dispose();
+            });
+            material.dispose();
+        });
+    }
+
+    if (object.customDepthMaterial) object.customDepthMaterial.dispose();
+    if (object.isInstancedMesh) object.dispose();
+}
+
 function onWindowResize() {
     if (!camera || !renderer) return;
     camera.aspect = window.innerWidth / window.innerHeight;
@@ -0,0 +1,231 @@
+/**
+ * tree/seasons.js - Seasonal foliage and falling particles
+ *
+ * Each season recolors the leaf instances from its palette, thins the canopy
+ * (winter is almost bare unless the species is evergreen) and fills the air
+ * around the trunk with petals, falling leaves or snow.
+ *
+ * The season follows today's date (northern hemisphere) unless one is given
+ * with ?season=spring|summer|autumn|winter.
+ */
+
+import * as THREE from 'three';
+import { createRandom } from './random.js';
+
+// === Season Definitions ===
+// palette: leaf tints (null = the species' own leaf color)
+// density: fraction of leaves kept on the tree
+// particles: what falls around the trunk (null = nothing)
+export const SEASONS = {
+    spring: {
+        palette: [0x5f8f4e, 0x6b9e55, 0xe8a0b8, 0x4f7f44],
+        density: 0.85,
+        particles: { count: 400, color: 0xf4c2d4, size: 0.9, fallSpeed: 2, drift: 3 }
+    },
+    summer: {
+        palette: null,
+        density: 1,
+        particles: null
+    },
+    autumn: {
+        palette: [0xc0642b, 0xd98c2b, 0x9e3b1e, 0xb8892f, 0x6b4f2a],
+        density: 0.7,
+        particles: { count: 600, color: 0xc8702e, size: 1.2, fallSpeed: 3, drift: 4 }
+    },
+    winter: {
+        palette: [0xdfe8ec, 0xb9c7cc, 0x4d5f5a],
+        density: 0.12,
+        evergreenPalette: [0x1f3d2b, 0x2c4a36, 0xdfe8ec], // Snow-dusted needles
+        particles: { count: 1500, color: 0xffffff, size: 0.7, fallSpeed: 4, drift: 1.5 }
+    }
+};
+
+// Particles fall within this cylinder around the trunk
+const PARTICLE_RADIUS = 70;
+
+// === Season State ===
+let leafMesh = null;
+let baseState = null;   // Original leaf matrices + color, so seasons can be swapped
+let particles = null;   // THREE.Points for the current season
+let particleSpeeds = null;
+let scene = null;
+let treeInfo = null;    // { seed, dimensions, evergreen }
+let currentSeason = null;
+
+/**
+ * Picks the season for a date (northern hemisphere, meteorological seasons).
+ * @param {Date} [date=new Date()] - The date to check.
+ * @returns {string} 'spring', 'summer', 'autumn' or 'winter'.
+ */
+export function getSeasonForDate(date = new Date()) {
+    const month = date.getMonth(); // 0 = January
+    if (month >= 2 && month <= 4) return 'spring';
+    if (month >= 5 && month <= 7) return 'summer';
+    if (month >= 8 && month <= 10) return 'autumn';
+    return 'winter';
+}
+
+/**
+ * Reads the season from the URL (?season=autumn), falling back to today's date.
+ * @returns {string} The season name.
+ */
+export function resolveSeason() {
+    const param = new URLSearchParams(window.location.search).get('season');
+    return param && SEASONS[param] ? param : getSeasonForDate();
+}
+
+/**
+ * Sets up seasons for a freshly generated tree and applies the first season.
+ * @param {THREE.Scene} sceneRef - Scene to add the particles to.
+ * @param {THREE.Group} treeGroup - Tree built by generateTree().
+ * @param {string} season - Season to start with.
+ */
+export function initSeasons(sceneRef, treeGroup, season) {
+    const { seed, dimensions, evergreen } = treeGroup.userData;
+
+    scene = sceneRef;
+    leafMesh = treeGroup.getObjectByName('leaves');
+    treeInfo = { seed, dimensions, evergreen };
+    particles = null;
+    currentSeason = null;
+
+    baseState = {
+        matrices: leafMesh.instanceMatrix.array.slice(),
+        color: leafMesh.material.color.clone()
+    };
+    leafMesh.material.color.set(0xffffff); // Instance colors carry the tint now
+
+    setSeason(season);
+}
+
+/**
+ * Switches the foliage and particles to another season.
+ * @param {string} season - 'spring', 'summer', 'autumn' or 'winter'.
+ */
+export function setSeason(season) {
+    if (!leafMesh || !SEASONS[season] || season === currentSeason) return;
+    currentSeason = season;
+
+    const config = SEASONS[season];
+    applyFoliage(config);
+
+    if (particles) {
+        scene.remove(particles);
+        particles.geometry.dispose();
+        particles.material.dispose();
+        particles = null;
+    }
+    if (config.particles) {
+        particles = createParticles(config.particles);
+        scene.add(particles);
+    }
+}
+
+/**
+ * @returns {string|null} The season currently shown.
+ */
+export function getSeason() {
+    return currentSeason;
+}
+
+/**
+ * Recolors and thins the leaf instances for a season.
+ * Leaves that fall are scaled to zero so the instance buffer stays the same size.
+ * @param {Object} config - Entry from SEASONS.
+ */
+function applyFoliage(config) {
+    const random = createRandom(treeInfo.seed);
+    const evergreen = treeInfo.evergreen;
+    const density = evergreen ? 1 : config.density;
+    const palette = (evergreen && config.evergreenPalette) || config.palette;
+
+    const matrix = new THREE.Matrix4();
+    const hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+    const color = new THREE.Color();
+
+    for (let i = 0; i < leafMesh.count; i++) {
+        const keep = random() < density;
+        const tint = random();
+
+        if (keep) {
+            matrix.fromArray(baseState.matrices, i * 16);
+            leafMesh.setMatrixAt(i, matrix);
+        } else {
+            leafMesh.setMatrixAt(i, hidden);
+        }
+
+        if (palette) {
+            color.setHex(palette[Math.floor(tint * palette.length)]);
+        } else {
+            // Slight variation on the species color
+            color.copy(baseState.color).multiplyScalar(0.9 + tint * 0.2);
+        }
+        leafMesh.setColorAt(i, color);
+    }
+
+    leafMesh.instanceMatrix.needsUpdate = true;
+    leafMesh.instanceColor.needsUpdate = true;
+}
+
+/**
+ * Creates the falling petals/leaves/snow around the trunk.
+ * @param {Object} options - The season's particle settings.
+ * @returns {THREE.Points} The particle system.
+ */
+function createParticles(options) {
+    const random = createRandom(treeInfo.seed + 1);
+    const top = treeInfo.dimensions.canopyTop;
+    const positions = new Float32Array(options.count * 3);
+    particleSpeeds = new Float32Array(options.count);
+
+    for (let i = 0; i < options.count; i++) {
+        const theta = random() * Math.PI * 2;
+        const r = Math.sqrt(random()) * PARTICLE_RADIUS;
+        positions[i * 3] = Math.cos(theta) * r;
+        positions[i * 3 + 1] = random() * top;
+        positions[i * 3 + 2] = Math.sin(theta) * r;
+        particleSpeeds[i] = options.fallSpeed * (0.6 + random() * 0.8);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+    const material = new THREE.PointsMaterial({
+        color: options.color,
+        size: options.size,
+        sizeAttenuation: true
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.name = 'season-particles';
+    points.userData.drift = options.drift;
+    points.frustumCulled = false; // Positions change every frame
+    return points;
+}
+
+/**
+ * Moves the falling particles. Called once per frame from the animation loop.
+ * @param {number} time - Elapsed time in seconds.
+ * @param {number} delta - Seconds since the last frame.
+ */
+export function updateSeasons(time, delta) {
+    if (!particles || !particles.parent) return;
+
+    const positions = particles.geometry.attributes.position.array;
+    const drift = particles.userData.drift;
+    const top = treeInfo.dimensions.canopyTop;
+
+    for (let i = 0; i < particleSpeeds.length; i++) {
+        const i3 = i * 3;
+        positions[i3 + 1] -= particleSpeeds[i] * delta;
+
+        // Flutter side to side, each particle on its own phase
+        positions[i3] += Math.sin(time * 1.3 + i) * drift * delta;
+        positions[i3 + 2] += Math.cos(time * 1.1 + i * 0.7) * drift * delta;
+
+        // Respawn at the top once it reaches the ground
+        if (positions[i3 + 1] < 0) positions[i3 + 1] += top;
+    }
+
+    particles.geometry.attributes.position.needsUpdate = true;
+}
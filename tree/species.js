@@ -0,0 +1,156 @@
+/**
+ * tree/species.js - Tree species presets (the tree "grammar")
+ *
+ * Each species describes a tree as data that generateTree() builds from:
+ * - trunk:    Segment count/height, base radius, taper and bulge profile
+ * - branches: Where branches spawn, their size/tilt, and recursion depth
+ * - leaves:   Cluster shape (shared instance geometry) and stretch
+ * - canopy:   Crown shape ('dome' or 'cone') plus hanging leaves
+ * - palette:  Bark and leaf colors
+ * - evergreen: (optional) Keeps its leaves through winter (see seasons.js)
+ *
+ * Ranges are [min, max] pairs picked with the seeded random generator.
+ *
+ * Select a species with ?species=<key> (colossus, willow, pine, baobab).
+ * Label positions in content.js were tuned against the colossus; other
+ * species scale them to their own trunk height and radius.
+ */
+
+export const SPECIES = {
+    // The original Studio Ghibli inspired giant (Totoro, Laputa)
+    colossus: {
+        name: 'Ghibli Colossus',
+        trunk: {
+            segments: 40,
+            segmentHeight: 4,
+            baseRadius: 12,
+            taper: 0.6,       // Fraction of the radius lost from base to top
+            bulge: 0,         // Extra girth in the middle (baobab belly)
+            sides: 7,         // 7 sides creates odd/organic low-poly look
+            jitter: 1.5       // Random x/z offset per segment for gnarled look
+        },
+        branches: {
+            start: 8,         // First segment that can grow a branch (exclusive)
+            interval: 3,      // Branch on every Nth segment after that
+            length: [15, 25],
+            radius: [1, 3],   // [tip, base]
+            sides: 5,
+            tilt: 0.3,        // Radians above horizontal (negative droops)
+            lengthFalloff: 0, // How much shorter branches get near the top (0-1)
+            depth: 1,         // Levels of branching (1 = no sub-branches)
+            children: 0,      // Sub-branches per branch when depth > 1
+            childScale: 0.6,  // Sub-branch size relative to its parent
+            childSpread: 0.8, // Max angle (radians) a sub-branch turns away
+            // Leaf clouds half a branch length above and out from its middle,
+            // spreading away from the trunk (lift/reach default to the tip)
+            clusters: { count: 5, size: [4, 7], spread: 8, lift: 0.5, reach: 0.5, outward: true }
+        },
+        leaves: {
+            shape: 'icosahedron',
+            stretch: [1, 1, 1]
+        },
+        canopy: {
+            shape: 'dome',
+            count: 800,       // Very dense
+            radius: 45,
+            yScale: 1,        // Squash (<1) or stretch the dome vertically
+            flattenBottom: 0.4,
+            lift: 5,          // Lift slightly to sit on top of trunk
+            size: [8, 20],
+            // "Hanging" vines/leaves at the bottom for that floating island feel
+            hanging: { count: 50, size: [4, 8], radius: [0.2, 0.7], drop: 20 }
+        },
+        palette: {
+            bark: 0x3e2723,   // Darker wood
+            leaf: 0x2f4f4f    // Dark slate green (desaturated)
+        }
+    },
+
+    willow: {
+        name: 'Weeping Willow',
+        trunk: { segments: 24, segmentHeight: 4, baseRadius: 9, taper: 0.5, bulge: 0.1, sides: 7, jitter: 2 },
+        branches: {
+            start: 10, interval: 2, length: [16, 24], radius: [0.8, 2.5], sides: 5, tilt: 0.5,
+            lengthFalloff: 0, depth: 2, children: 2, childScale: 0.7, childSpread: 0.6,
+            clusters: { count: 4, size: [3, 5], spread: 6 }
+        },
+        leaves: { shape: 'icosahedron', stretch: [0.6, 2.2, 0.6] },
+        canopy: {
+            shape: 'dome', count: 350, radius: 38, yScale: 0.6, flattenBottom: 0.3, lift: 2, size: [5, 9],
+            hanging: { count: 450, size: [3, 6], radius: [0.4, 1.0], drop: 50 }
+        },
+        palette: { bark: 0x4e4436, leaf: 0x7a8f4a }
+    },
+
+    pine: {
+        name: 'Mountain Pine',
+        evergreen: true,
+        trunk: { segments: 45, segmentHeight: 4, baseRadius: 7, taper: 0.85, bulge: 0, sides: 6, jitter: 0.5 },
+        branches: {
+            start: 6, interval: 1, length: [14, 20], radius: [0.5, 1.6], sides: 4, tilt: -0.15,
+            lengthFalloff: 0.85, depth: 1, children: 0, childScale: 0.6, childSpread: 0.8,
+            clusters: { count: 3, size: [3, 5], spread: 4 }
+        },
+        leaves: { shape: 'cone', stretch: [1, 1.6, 1] },
+        canopy: {
+            shape: 'cone', count: 60, radius: 8, height: 25, lift: 0, size: [3, 5],
+            hanging: { count: 0, size: [0, 0], radius: [0, 0], drop: 0 }
+        },
+        palette: { bark: 0x5d4037, leaf: 0x1f3d2b }
+    },
+
+    baobab: {
+        name: 'Baobab',
+        trunk: { segments: 18, segmentHeight: 4, baseRadius: 14, taper: 0.3, bulge: 0.35, sides: 9, jitter: 0.8 },
+        branches: {
+            start: 14, interval: 1, length: [12, 18], radius: [1, 3.5], sides: 5, tilt: 0.7,
+            lengthFalloff: 0, depth: 3, children: 2, childScale: 0.6, childSpread: 0.9,
+            clusters: { count: 3, size: [3, 5], spread: 5 }
+        },
+        leaves: { shape: 'icosahedron', stretch: [1, 0.7, 1] },
+        canopy: {
+            shape: 'dome', count: 150, radius: 30, yScale: 0.35, flattenBottom: 0.5, lift: 4, size: [4, 8],
+            hanging: { count: 0, size: [0, 0], radius: [0, 0], drop: 0 }
+        },
+        palette: { bark: 0x8d6e63, leaf: 0x556b2f }
+    }
+};
+
+export const DEFAULT_SPECIES = 'colossus';
+
+// Species the hand-tuned label positions in content.js belong to
+export const REFERENCE_SPECIES = SPECIES[DEFAULT_SPECIES];
+
+/**
+ * Looks up a species preset.
+ * @param {string|Object} species - Preset key, or a species object (returned as-is).
+ * @returns {Object} The species description.
+ */
+export function getSpecies(species = DEFAULT_SPECIES) {
+    if (typeof species === 'object') return species;
+
+    if (!SPECIES[species]) {
+        console.warn(`Unknown tree species "${species}", using ${DEFAULT_SPECIES}.`);
+        return SPECIES[DEFAULT_SPECIES];
+    }
+    return SPECIES[species];
+}
+
+/**
+ * Reads the species from the URL (?species=willow), falling back to the default.
+ * @returns {string} The species key.
+ */
+export function resolveSpecies() {
+    const param = new URLSearchParams(window.location.search).get('species');
+    return param && SPECIES[param] ? param : DEFAULT_SPECIES;
+}
+
+/**
+ * Height of the top of the trunk (where the canopy starts).
+ * @param {string|Object} species - Preset key or species object.
+ * @returns {number} Trunk height in world units.
+ */
+export function getTrunkHeight(species) {
+    const { trunk } = getSpecies(species);
+    return trunk.segments * trunk.segmentHeight;
+}
@@ -0,0 +1,267 @@
+/**
+ * tree/terrain.js - Ground, roots and scatter around the tree base
+ *
+ * Builds a low-poly island for the tree to stand on:
+ * - Ground: Displaced disc that sits just below the lowest label, with
+ *   gentle hills further out and edges falling away into the fog
+ * - Roots: Tapered bark limbs flaring out from the trunk into the ground
+ * - Scatter: Instanced grass tufts and rocks
+ *
+ * The ground receives the directional light's shadows, so the tree finally
+ * has something to cast them on. Everything is seeded from the tree's seed.
+ */
+
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { createRandom } from './random.js';
+import { getTreeColliders } from './treeGeometry.js';
+
+// === Terrain Constants ===
+const GROUND_LEVEL = -2;    // Just below the lowest detail line of "Where I Stand"
+const ISLAND_RADIUS = 110;  // Where the ground starts falling away
+const GROUND_SIZE = 320;
+const GROUND_SEGMENTS = 64;
+const CLEAR_RADIUS = 45;    // Flat area around the trunk (camera path runs at 35)
+const HILL_HEIGHT = 7;
+
+const GRASS_COUNT = 1200;
+const ROCK_COUNT = 40;
+
+const UP = new THREE.Vector3(0, 1, 0);
+const dummy = new THREE.Object3D();
+
+/**
+ * Adds the island, grass and rocks to the scene and roots to the tree.
+ * Roots are skipped when the tree already has them (baked .glb trees).
+ * @param {THREE.Scene} scene - Scene to add the terrain to.
+ * @param {THREE.Object3D} treeGroup - The tree (generated or baked).
+ * @returns {THREE.Group} The terrain group (named 'terrain').
+ */
+export function createTerrain(scene, treeGroup) {
+    const seed = treeGroup.userData.seed ?? 'baked';
+    const baseRadius = treeGroup.userData.dimensions?.baseRadius ?? 12;
+    const random = createRandom(`${seed}-terrain`);
+    const heightAt = createHeightField(random);
+
+    const terrain = new THREE.Group();
+    terrain.name = 'terrain';
+    terrain.add(createGround(heightAt));
+    terrain.add(createGrass(heightAt, baseRadius, random));
+    terrain.add(createRocks(heightAt, baseRadius, random));
+    scene.add(terrain);
+
+    const bark = treeGroup.getObjectByName('bark');
+    if (bark && !treeGroup.getObjectByName('roots')) {
+        treeGroup.add(createRoots(baseRadius, bark.material, random, getTreeColliders(treeGroup)));
+    }
+
+    return terrain;
+}
+
+/**
+ * Builds the ground height function: flat near the trunk, hills further out,
+ * and a drop-off past the island's edge.
+ * @param {function(): number} random - Seeded random function.
+ * @returns {function(number, number): number} Height at (x, z).
+ */
+function createHeightField(random) {
+    // Random phases/directions for a few overlapping waves
+    const waves = Array.from({ length: 4 }, (_, i) => ({
+        angle: random() * Math.PI * 2,
+        phase: random() * Math.PI * 2,
+        frequency: 0.02 + i * 0.015
+    }));
+
+    return function heightAt(x, z) {
+        const r = Math.hypot(x, z);
+
+        let hills = 0;
+        waves.forEach(wave => {
+            const along = x * Math.cos(wave.angle) + z * Math.sin(wave.angle);
+            hills += Math.sin(along * wave.frequency + wave.phase);
+        });
+        hills = (hills / waves.length + 0.5) * HILL_HEIGHT;
+
+        // Keep the area the camera moves through flat
+        const hillMask = THREE.MathUtils.smoothstep(r, CLEAR_RADIUS, CLEAR_RADIUS + 30);
+        let y = GROUND_LEVEL + Math.max(0, hills) * hillMask;
+
+        // Fall away past the island edge
+        if (r > ISLAND_RADIUS) y -= (r - ISLAND_RADIUS) * 1.2;
+
+        return y;
+    };
+}
+
+/**
+ * Creates the displaced, flat-shaded ground mesh.
+ * @param {function(number, number): number} heightAt - Height function.
+ * @returns {THREE.Mesh} The ground.
+ */
+function createGround(heightAt) {
+    const geometry = new THREE.PlaneGeometry(GROUND_SIZE, GROUND_SIZE, GROUND_SEGMENTS, GROUND_SEGMENTS);
+    geometry.rotateX(-Math.PI / 2);
+
+    const position = geometry.attributes.position;
+    const colors = new Float32Array(position.count * 3);
+    const grass = new THREE.Color(0x4a6b3a);
+    const dirt = new THREE.Color(0x5b4632);
+    const color = new THREE.Color();
+
+    for (let i = 0; i < position.count; i++) {
+        const x = position.getX(i);
+        const z = position.getZ(i);
+        position.setY(i, heightAt(x, z));
+
+        // Trampled dirt around the trunk, grass further out
+        const t = THREE.MathUtils.smoothstep(Math.hypot(x, z), 15, 40);
+        color.copy(dirt).lerp(grass, t);
+        color.toArray(colors, i * 3);
+    }
+
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.computeVertexNormals();
+
+    const material = new THREE.MeshStandardMaterial({
+        vertexColors: true,
+        roughness: 1,
+        flatShading: true
+    });
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = 'ground';
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+/**
+ * Creates roots flaring out from the trunk base and diving into the ground.
+ * Each root is a few tapered cylinder pieces, merged into one mesh.
+ * @param {number} baseRadius - Trunk radius at the base.
+ * @param {THREE.Material} barkMat - The trunk's bark material.
+ * @param {function(): number} random - Seeded random function.
+ * @param {Object} [colliders] - Tree colliders; roots are added so labels avoid them.
+ * @returns {THREE.Mesh} The roots (named 'roots').
+ */
+function createRoots(baseRadius, barkMat, random, colliders) {
+    const parts = [];
+    const rootCount = 7;
+
+    for (let i = 0; i < rootCount; i++) {
+        const angle = (i / rootCount) * Math.PI * 2 + (random() - 0.5) * 0.5;
+        const reach = baseRadius * (1.8 + random() * 1.2);
+        const thickness = baseRadius * (0.22 + random() * 0.1);
+
+        // Out from the trunk, arching down, then under the ground
+        const points = [
+            [baseRadius * 0.6, 7],
+            [baseRadius * 1.1, 2.5],
+            [reach * 0.75, GROUND_LEVEL + 0.5],
+            [reach, GROUND_LEVEL - 2]
+        ].map(([r, y]) => new THREE.Vector3(Math.cos(angle) * r, y, Math.sin(angle) * r));
+
+        for (let j = 0; j < points.length - 1; j++) {
+            const start = points[j];
+            const end = points[j + 1];
+            const radiusStart = thickness * (1 - j / (points.length - 1) * 0.7);
+            const radiusEnd = thickness * (1 - (j + 1) / (points.length - 1) * 0.7);
+
+            const direction = end.clone().sub(start);
+            const length = direction.length();
+            const geometry = new THREE.CylinderGeometry(radiusEnd, radiusStart, length * 1.1, 6);
+
+            dummy.quaternion.setFromUnitVectors(UP, direction.normalize());
+            dummy.position.copy(start).lerp(end, 0.5);
+            dummy.scale.setScalar(1);
+            dummy.updateMatrix();
+            parts.push(geometry.applyMatrix4(dummy.matrix));
+
+            if (colliders) {
+                colliders.branches.push({ start: start.clone(), end: end.clone(), radius: radiusStart });
+            }
+        }
+    }
+
+    const geometry = mergeGeometries(parts);
+    parts.forEach(part => part.dispose());
+
+    const mesh = new THREE.Mesh(geometry, barkMat);
+    mesh.name = 'roots';
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+/**
+ * Scatters grass tufts over the island, clear of the trunk.
+ * @param {function(number, number): number} heightAt - Height function.
+ * @param {number} baseRadius - Trunk radius at the base.
+ * @param {function(): number} random - Seeded random function.
+ * @returns {THREE.InstancedMesh} The grass.
+ */
+function createGrass(heightAt, baseRadius, random) {
+    const geometry = new THREE.ConeGeometry(0.35, 1.6, 3);
+    geometry.translate(0, 0.8, 0); // Grow up from the ground
+    const material = new THREE.MeshStandardMaterial({ roughness: 1, flatShading: true });
+    const mesh = new THREE.InstancedMesh(geometry, material, GRASS_COUNT);
+    mesh.name = 'grass';
+
+    const color = new THREE.Color();
+    for (let i = 0; i < GRASS_COUNT; i++) {
+        const { x, z } = scatterPoint(baseRadius * 1.6, ISLAND_RADIUS, random);
+        dummy.position.set(x, heightAt(x, z), z);
+        dummy.rotation.set((random() - 0.5) * 0.4, random() * Math.PI, (random() - 0.5) * 0.4);
+        dummy.scale.setScalar(0.6 + random() * 0.9);
+        dummy.updateMatrix();
+        mesh.setMatrixAt(i, dummy.matrix);
+
+        color.setHSL(0.25 + random() * 0.06, 0.35, 0.25 + random() * 0.12);
+        mesh.setColorAt(i, color);
+    }
+    dummy.scale.setScalar(1);
+
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+/**
+ * Scatters squashed low-poly rocks, mostly away from the camera path.
+ * @param {function(number, number): number} heightAt - Height function.
+ * @param {number} baseRadius - Trunk radius at the base.
+ * @param {function(): number} random - Seeded random function.
+ * @returns {THREE.InstancedMesh} The rocks.
+ */
+function createRocks(heightAt, baseRadius, random) {
+    const geometry = new THREE.DodecahedronGeometry(1, 0);
+    const material = new THREE.MeshStandardMaterial({ color: 0x7a7a72, roughness: 0.95, flatShading: true });
+    const mesh = new THREE.InstancedMesh(geometry, material, ROCK_COUNT);
+    mesh.name = 'rocks';
+
+    for (let i = 0; i < ROCK_COUNT; i++) {
+        const { x, z } = scatterPoint(baseRadius * 2, ISLAND_RADIUS - 10, random);
+        const size = 0.8 + random() * 2.5;
+        dummy.position.set(x, heightAt(x, z) + size * 0.2, z);
+        dummy.rotation.set(random() * Math.PI, random() * Math.PI, random() * Math.PI);
+        dummy.scale.set(size, size * (0.5 + random() * 0.4), size);
+        dummy.updateMatrix();
+        mesh.setMatrixAt(i, dummy.matrix);
+    }
+    dummy.scale.setScalar(1);
+
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+/**
+ * Random point in a ring, uniform by area.
+ * @param {number} inner - Inner radius.
+ * @param {number} outer - Outer radius.
+ * @param {function(): number} random - Seeded random function.
+ * @returns {{ x: number, z: number }} The point.
+ */
+function scatterPoint(inner, outer, random) {
+    const theta = random() * Math.PI * 2;
+    const r = Math.sqrt(inner * inner + random() * (outer * outer - inner * inner));
+    return { x: Math.cos(theta) * r, z: Math.sin(theta) * r };
+}
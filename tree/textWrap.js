@@ -0,0 +1,99 @@
+/**
+ * tree/textWrap.js - Word wrapping for the label text blocks
+ *
+ * Breaks headings and detail paragraphs into lines that fit a maximum
+ * world-space width. Widths come from the label renderer's own measure
+ * function, so wrapping matches what is drawn.
+ *
+ * Detail entries starting with "- " or "• " become bullet items; their
+ * wrapped lines are indented to hang under the first word. Entries can also
+ * be { text, action } objects; every wrapped line keeps the entry's action.
+ *
+ * Lines break at spaces, and between any two CJK characters (which are
+ * written without spaces). A word wider than the whole line is split.
+ */
+
+const BULLET = '• ';
+const BULLET_PATTERN = /^\s*[-•]\s+/;
+
+// Han, kana, hangul and full-width forms: each character is its own word
+const CJK = '\\u2E80-\\u9FFF\\uAC00-\\uD7AF\\uF900-\\uFAFF\\uFF00-\\uFFEF';
+const TOKEN_PATTERN = new RegExp(`[${CJK}]|[^\\s${CJK}]+|\\s+`, 'g');
+
+/**
+ * Wraps one paragraph to a maximum width.
+ * @param {string} text - The paragraph.
+ * @param {number} maxWidth - Maximum line width in world units.
+ * @param {function(string): number} measure - Width of a string in world units.
+ * @returns {string[]} The lines (at least one).
+ */
+export function wrapText(text, maxWidth, measure) {
+    const tokens = text.match(TOKEN_PATTERN) || [''];
+    const lines = [];
+    let current = '';
+
+    tokens.forEach(token => {
+        const candidate = current + token;
+        if (!current.trim() || measure(candidate.trimEnd()) <= maxWidth) {
+            current = candidate;
+            return;
+        }
+
+        lines.push(current.trimEnd());
+        current = token.trimStart();
+    });
+    lines.push(current.trimEnd());
+
+    // Split words that are wider than a whole line on their own
+    return lines.flatMap(line => (measure(line) > maxWidth ? splitWord(line, maxWidth, measure) : [line]));
+}
+
+/**
+ * Wraps a section's detail text into lines, expanding bullet items.
+ * @param {string|Object|Array} detail - A paragraph, or an array of paragraphs and bullet
+ *   items. Any entry may be a { text, action } object instead of a string.
+ * @param {number} maxWidth - Maximum line width in world units.
+ * @param {function(string): number} measure - Width of a string in world units.
+ * @returns {{ text: string, indent: number, action: Object|null }[]} Lines with their left
+ *   indent in world units and the action of the entry they came from.
+ */
+export function wrapParagraphs(detail, maxWidth, measure) {
+    const paragraphs = Array.isArray(detail) ? detail : [detail];
+    const bulletWidth = measure(BULLET);
+
+    return paragraphs.flatMap(entry => {
+        const paragraph = typeof entry === 'string' ? entry : entry.text;
+        const action = entry.action ?? null;
+
+        if (!BULLET_PATTERN.test(paragraph)) {
+            return wrapText(paragraph, maxWidth, measure).map(text => ({ text, indent: 0, action }));
+        }
+
+        const item = paragraph.replace(BULLET_PATTERN, '');
+        return wrapText(item, maxWidth - bulletWidth, measure).map((text, index) => (
+            index === 0 ? { text: BULLET + text, indent: 0, action } : { text, indent: bulletWidth, action }
+        ));
+    });
+}
+
+/**
+ * Splits an over-long word into pieces that each fit the width.
+ * @param {string} word - The word.
+ * @param {number} maxWidth - Maximum line width in world units.
+ * @param {function(string): number} measure - Width of a string in world units.
+ * @returns {string[]} The pieces.
+ */
+function splitWord(word, maxWidth, measure) {
+    const pieces = [];
+    let current = '';
+
+    Array.from(word).forEach(char => {
+        if (current && measure(current + char) > maxWidth) {
+            pieces.push(current);
+            current = '';
+        }
+        current += char;
+    });
+    pieces.push(current);
+    return pieces;
+}
@@ -0,0 +1,146 @@
+/**
+ * tree/tour.js - Guided auto-tour
+ *
+ * The "Auto Tour" button under the intro prompt flies the guided camera
+ * through every stop by itself, resting at each one for its dwell time:
+ * - a section's `dwell` (seconds) from content.json, else DEFAULT_DWELL
+ * - CANOPY_DWELL for the canopy finale
+ * The dwell starts once the camera has arrived, so long flights don't eat
+ * into the reading time.
+ *
+ * Any wheel, touch, click or key input pauses the tour so the visitor can
+ * take over (index.js calls pauseTour()). The tour bar's button resumes it
+ * from the section the camera is at, and its progress bar fills up over the
+ * whole tour. After the last stop the tour starts over (LOOP_TOUR), so the
+ * site can run unattended as a kiosk or for a demo recording.
+ */
+
+import { getDelta } from './clock.js';
+import { goToSection, getCurrentSection, getSectionCount, isCameraSettled } from './camera.js';
+import { texts, ui } from './content.js';
+
+const DEFAULT_DWELL = 6; // Seconds at a section without its own `dwell`
+const CANOPY_DWELL = 8;  // Seconds at the canopy finale
+const LOOP_TOUR = true;  // Start over after the last stop (false = end the tour there)
+
+let isTourOn = false;    // Started and not stopped (running or paused)
+let isPaused = false;
+let dwellTime = 0;       // Seconds spent at the current stop so far
+
+/**
+ * Starts the tour at the camera's current section. Call after
+ * startGuidedMode(); the first dwell starts when the fly-in ends.
+ */
+export function startTour() {
+    isTourOn = true;
+    isPaused = false;
+    dwellTime = 0;
+    renderTour();
+}
+
+/**
+ * Pauses the tour, if one is running (any visitor input).
+ */
+export function pauseTour() {
+    if (!isTourOn || isPaused) return;
+    isPaused = true;
+    renderTour();
+}
+
+/**
+ * Resumes a paused tour from the section the camera is at (or heading to),
+ * giving it a full dwell.
+ */
+export function resumeTour() {
+    if (!isTourOn || !isPaused) return;
+    isPaused = false;
+    dwellTime = 0;
+    goToSection(getCurrentSection()); // Settle on it if the visitor left the camera between sections
+    renderTour();
+}
+
+/**
+ * Pauses a running tour or resumes a paused one (the tour bar's button).
+ */
+export function toggleTour() {
+    if (isPaused) {
+        resumeTour();
+    } else {
+        pauseTour();
+    }
+}
+
+/**
+ * Ends the tour and hides its bar (tree mode closed or reset).
+ */
+export function stopTour() {
+    isTourOn = false;
+    isPaused = false;
+    dwellTime = 0;
+    renderTour();
+}
+
+/**
+ * Advances the tour by one frame: counts down the dwell at the current stop
+ * and moves on to the next one. Called every frame from the animation loop.
+ */
+export function updateTour() {
+    if (!isTourOn || isPaused) return;
+
+    if (isCameraSettled()) {
+        dwellTime += getDelta();
+
+        const section = getCurrentSection();
+        if (dwellTime >= getDwell(section)) {
+            dwellTime = 0;
+            if (section + 1 < getSectionCount()) {
+                goToSection(section + 1);
+            } else if (LOOP_TOUR) {
+                goToSection(0);
+            } else {
+                stopTour();
+                return;
+            }
+        }
+    }
+
+    renderProgress();
+}
+
+/**
+ * Shows or hides the tour bar and labels its button for the current state
+ * and locale (call again after switching locale).
+ */
+export function renderTour() {
+    const bar = document.getElementById('tour-bar');
+    const toggle = document.getElementById('tour-toggle');
+    if (!bar || !toggle) return;
+
+    bar.style.display = isTourOn ? 'flex' : 'none';
+    toggle.textContent = isPaused ? '▶' : '❚❚';
+    toggle.setAttribute('aria-label', isPaused ? ui.resumeTour : ui.pauseTour);
+    toggle.title = toggle.getAttribute('aria-label');
+    renderProgress();
+}
+
+/**
+ * Fills the progress bar: finished stops plus the part of the current dwell.
+ */
+function renderProgress() {
+    const fill = document.getElementById('tour-progress-fill');
+    const count = getSectionCount();
+    if (!fill || count === 0) return;
+
+    const section = getCurrentSection();
+    const dwell = Math.min(dwellTime / getDwell(section), 1);
+    fill.style.width = `${((section + dwell) / count) * 100}%`;
+}
+
+/**
+ * @param {number} index - Stop index (texts.length and beyond = canopy finale or authored stops).
+ * @returns {number} Seconds to rest at the stop.
+ */
+function getDwell(index) {
+    if (index < texts.length) return texts[index].dwell ?? DEFAULT_DWELL;
+    return index === texts.length ? CANOPY_DWELL : DEFAULT_DWELL;
+}
@@ -1,257 +1,427 @@
 /**
  * tree/treeGeometry.js - Procedural tree mesh generation
  *
- * Creates a colossal low-poly tree inspired by Studio Ghibli (Totoro, Laputa).
- *
- * Structure:
+ * Builds a low-poly tree from a species description (see species.js).
+ * The default species is a colossal tree inspired by Studio Ghibli (Totoro, Laputa):
  * - Trunk: 40 tapered cylinder segments with random jitter for organic look
  * - Branches: Spawn every 3rd segment above segment 8
  * - Canopy: 800 icosahedron "leaves" in a dome shape at the top
  * - Hanging vines: 50 leaves dangling below the canopy
  *
- * Also handles loading 3D text labels that float around the tree.
+ * Bark is merged into one mesh and all leaves share one InstancedMesh,
+ * keeping draw calls low on phones. Leaves sway in the wind (see wind.js).
+ *
+ * All randomness comes from a seeded generator (see random.js), so the same
+ * seed always produces the same tree.
+ *
+ * The 3D text labels that float around the tree live in labels.js.
  */
 
 import * as THREE from 'three';
-import { FontLoader } from 'three/addons/loaders/FontLoader.js';
-import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
-import { texts } from './content.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+import { createRandom, DEFAULT_SEED } from './random.js';
+import { applyWind, createWindDepthMaterial } from './wind.js';
+import { getSpecies, getTrunkHeight, DEFAULT_SPECIES } from './species.js';
+
+// Collision volumes per generated tree, used by the label layout (see getTreeColliders)
+const treeColliders = new WeakMap();
+
+// Scratch objects for building transforms (position/rotation -> matrix)
+const dummy = new THREE.Object3D();
+const UP = new THREE.Vector3(0, 1, 0);
 
-// === Tree Generation Constants ===
-const TRUNK_SEGMENTS = 40;
-const SEGMENT_HEIGHT = 4;
-const BASE_RADIUS = 12;
-const TAPER_FACTOR = 0.6;
+// The first trunk segment reaches this far below y=0, so the bark enters the
+// ground (terrain.js puts it at y=-2) instead of standing on top of it
+const TRUNK_FOOTING = 4;
 
 /**
  * Generates the complete tree mesh (trunk, branches, canopy) and adds it to the scene.
+ *
+ * Bark is merged into a single mesh and every leaf is an instance of one shared
+ * geometry, so the whole tree costs two draw calls (plus shadows).
  * @param {THREE.Scene} scene - The scene to add the tree to.
- * @returns {THREE.Group} The group containing the entire tree structure.
+ * @param {number|string} [seed=DEFAULT_SEED] - Seed for the random generator.
+ * @param {string|Object} [species=DEFAULT_SPECIES] - Species preset key or description.
+ * @returns {THREE.Group} The tree group. userData holds seed, species, evergreen and dimensions
+ *   ({ trunkHeight, baseRadius, canopyTop }) for the camera and labels to adapt to.
  */
-export function generateTree(scene) {
+export function generateTree(scene, seed = DEFAULT_SEED, species = DEFAULT_SPECIES) {
+    const spec = getSpecies(species);
+    const { trunk, branches } = spec;
+
+    const ctx = {
+        spec,
+        random: createRandom(seed),
+        barkParts: [], // Bark geometries already moved into place
+        leaves: [],    // { position, rotation, size, stretch } for each leaf instance
+        colliders: { trunk: [], branches: [], leaves: [] }
+    };
+
     const treeGroup = new THREE.Group();
+    treeGroup.name = 'tree';
     scene.add(treeGroup);
 
     // Materials
     const barkMaterial = new THREE.MeshStandardMaterial({
-        color: 0x3e2723, // Darker wood
+        color: spec.palette.bark,
         roughness: 0.9,
         flatShading: true
     });
-    const leafMaterial = new THREE.MeshStandardMaterial({
-        color: 0x2f4f4f, // Dark slate green (desaturated)
+    const leafMaterial = applyWind(new THREE.MeshStandardMaterial({
+        color: spec.palette.leaf,
         roughness: 0.8,
         flatShading: true
-    });
+    }));
 
     // === Build Trunk ===
+    const { random } = ctx;
     let height = 0;
 
-    for (let i = 0; i < TRUNK_SEGMENTS; i++) {
+    for (let i = 0; i < trunk.segments; i++) {
         // Taper from wide base to narrow top
-        const progress = i / TRUNK_SEGMENTS;
-        const radiusBottom = BASE_RADIUS * (1 - progress * TAPER_FACTOR);
-        const radiusTop = BASE_RADIUS * (1 - (progress + 0.025) * TAPER_FACTOR);
+        const radiusBottom = getTrunkRadius(trunk, i / trunk.segments);
+        const radiusTop = getTrunkRadius(trunk, (i + 1) / trunk.segments);
 
-        // 7 sides creates odd/organic low-poly look
-        const geometry = new THREE.CylinderGeometry(radiusTop, radiusBottom, SEGMENT_HEIGHT, 7);
-        const mesh = new THREE.Mesh(geometry, barkMaterial);
+        const bottom = i === 0 ? height - TRUNK_FOOTING : height;
+        const segmentLength = height + trunk.segmentHeight - bottom;
+        const geometry = new THREE.CylinderGeometry(radiusTop, radiusBottom, segmentLength, trunk.sides);
 
-        mesh.position.y = height + SEGMENT_HEIGHT / 2;
-        mesh.rotation.y = Math.random() * Math.PI; // Random rotation per segment
+        dummy.position.set(0, bottom + segmentLength / 2, 0);
+        dummy.rotation.set(0, random() * Math.PI, 0); // Random rotation per segment
 
         // Jitter position for gnarled look
-        mesh.position.x = (Math.random() - 0.5) * 1.5;
-        mesh.position.z = (Math.random() - 0.5) * 1.5;
-
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        treeGroup.add(mesh);
+        dummy.position.x = (random() - 0.5) * trunk.jitter;
+        dummy.position.z = (random() - 0.5) * trunk.jitter;
+
+        ctx.barkParts.push(bakeTransform(geometry, dummy));
+        ctx.colliders.trunk.push({
+            x: dummy.position.x,
+            z: dummy.position.z,
+            bottom,
+            top: height + trunk.segmentHeight,
+            radius: Math.max(radiusTop, radiusBottom)
+        });
 
-        // Add branches starting from segment 8, every 3rd segment
-        if (i > 8 && i % 3 === 0) {
-            addColossalBranch(treeGroup, height, barkMaterial, leafMaterial, radiusTop);
+        // Branch on every Nth segment above the start segment
+        if (i > branches.start && i % branches.interval === 0) {
+            // Length before angle, as before species presets, so saved seeds keep their tree
+            const falloff = 1 - (i / trunk.segments) * branches.lengthFalloff;
+            const length = range(random, branches.length) * falloff;
+            const angle = random() * Math.PI * 2;
+
+            // Start just inside the trunk surface
+            const origin = new THREE.Vector3(
+                Math.cos(angle) * (radiusTop - 2),
+                height,
+                Math.sin(angle) * (radiusTop - 2)
+            );
+
+            addBranch(ctx, origin, angle, branches.tilt, length, 1, branches.depth);
         }
 
-        height += SEGMENT_HEIGHT;
+        height += trunk.segmentHeight;
     }
 
-    // Add massive top canopy (Laputa style)
-    addMassiveCanopy(treeGroup, height, leafMaterial);
+    // Add the crown on top of the trunk
+    if (spec.canopy.shape === 'cone') {
+        addConeCanopy(ctx, height);
+    } else {
+        addDomeCanopy(ctx, height);
+    }
+    addHangingLeaves(ctx, height);
+
+    treeGroup.add(createBarkMesh(ctx.barkParts, barkMaterial));
+    const leafMesh = createLeafMesh(ctx.leaves, leafMaterial, spec.leaves.shape);
+    leafMesh.customDepthMaterial = createWindDepthMaterial(); // Shadows sway too
+    treeGroup.add(leafMesh);
+
+    ctx.colliders.leaves = ctx.leaves.map(leaf => ({
+        center: leaf.position,
+        radius: leaf.size * Math.max(...leaf.stretch)
+    }));
+    treeColliders.set(treeGroup, ctx.colliders);
+
+    leafMesh.computeBoundingBox();
+    treeGroup.userData.seed = seed;
+    treeGroup.userData.species = spec.name;
+    treeGroup.userData.evergreen = Boolean(spec.evergreen);
+    treeGroup.userData.dimensions = {
+        trunkHeight: getTrunkHeight(spec),
+        baseRadius: trunk.baseRadius,
+        canopyTop: Math.max(height, leafMesh.boundingBox.max.y)
+    };
 
     return treeGroup;
 }
 
 /**
- * Adds a branch with leaf clusters at the given height
+ * Collision volumes of a tree built by generateTree():
+ * - trunk:    One upright cylinder per segment ({ x, z, bottom, top, radius })
+ * - branches: Capsules ({ start, end, radius })
+ * - leaves:   Bounding spheres ({ center, radius })
+ * @param {THREE.Group} treeGroup - The generated tree.
+ * @returns {Object|undefined} The colliders, or undefined for trees not built here.
  */
+export function getTreeColliders(treeGroup) {
+    return treeColliders.get(treeGroup);
+}
+
 /**
- * Adds a large branch with leaf clusters at the given height.
- * @param {THREE.Group} group - The tree group to add the branch to.
- * @param {number} y - The height (y-coordinate) on the trunk to spawn the branch.
- * @param {THREE.Material} barkMat - Material for the branch.
- * @param {THREE.Material} leafMat - Material for the leaves.
- * @param {number} trunkRadius - Radius of the trunk at this height (to offset branch start).
+ * Trunk radius at a point along its height.
+ * @param {Object} trunk - The species' trunk description.
+ * @param {number} t - 0 at the base, 1 at the top.
+ * @returns {number} The radius.
  */
-function addColossalBranch(group, y, barkMat, leafMat, trunkRadius) {
-    const length = 15 + Math.random() * 10;
-    const geometry = new THREE.CylinderGeometry(1, 3, length, 5);
-    const branch = new THREE.Mesh(geometry, barkMat);
-
-    const angle = Math.random() * Math.PI * 2;
-    branch.position.set(0, y, 0);
-
-    // Angle upwards slightly
-    branch.rotation.z = (Math.PI / 2) - 0.3;
-    branch.rotation.y = angle;
-    branch.translateY(length / 2 + trunkRadius - 2); // Move out from trunk surface
+function getTrunkRadius(trunk, t) {
+    return trunk.baseRadius * (1 - t * trunk.taper) * (1 + trunk.bulge * Math.sin(Math.PI * t));
+}
 
-    branch.castShadow = true;
-    branch.receiveShadow = true;
-    group.add(branch);
+/**
+ * Adds a branch, then recurses into sub-branches or ends in leaf clusters.
+ * @param {Object} ctx - Generation context (spec, random, barkParts, leaves).
+ * @param {THREE.Vector3} origin - Where the branch starts.
+ * @param {number} angle - Heading around the trunk (radians).
+ * @param {number} tilt - Angle above horizontal (radians).
+ * @param {number} length - Branch length.
+ * @param {number} scale - Thickness relative to a trunk branch (1 at the trunk).
+ * @param {number} depth - Remaining levels of branching, including this one.
+ */
+function addBranch(ctx, origin, angle, tilt, length, scale, depth) {
+    const { branches } = ctx.spec;
+    const { random } = ctx;
+
+    const direction = new THREE.Vector3(
+        Math.cos(tilt) * Math.cos(angle),
+        Math.sin(tilt),
+        Math.cos(tilt) * Math.sin(angle)
+    );
+
+    const geometry = new THREE.CylinderGeometry(
+        branches.radius[0] * scale,
+        branches.radius[1] * scale,
+        length,
+        branches.sides
+    );
+
+    // Cylinders point up +Y; turn it along the branch and center it halfway out
+    dummy.quaternion.setFromUnitVectors(UP, direction);
+    dummy.position.copy(origin).addScaledVector(direction, length / 2);
+    ctx.barkParts.push(bakeTransform(geometry, dummy));
+
+    const tip = origin.clone().addScaledVector(direction, length);
+    ctx.colliders.branches.push({ start: origin.clone(), end: tip, radius: branches.radius[1] * scale });
+
+    if (depth > 1 && branches.children > 0) {
+        for (let k = 0; k < branches.children; k++) {
+            const childAngle = angle + (random() - 0.5) * 2 * branches.childSpread;
+            const childTilt = tilt + (random() - 0.5) * branches.childSpread;
+            addBranch(ctx, tip, childAngle, childTilt, length * branches.childScale,
+                scale * branches.childScale, depth - 1);
+        }
+        return;
+    }
 
     // Canopy Clusters (Totoro Style)
-    // Create "clouds" of leaves at the end of branches
-    const clusterCount = 5;
-    for (let j = 0; j < clusterCount; j++) {
-        const leafSize = 4 + Math.random() * 3;
-        const leafGeo = new THREE.IcosahedronGeometry(leafSize, 0); // Low poly sphere
-        const leaf = new THREE.Mesh(leafGeo, leafMat);
-
-        // Position at end of branch with spread
-        const spread = 8;
-        leaf.position.copy(branch.position);
-        leaf.position.y += (length / 2) + (Math.random() - 0.5) * spread;
-        leaf.position.x += Math.cos(angle) * ((length / 2) + (Math.random() * spread));
-        leaf.position.z += Math.sin(angle) * ((length / 2) + (Math.random() * spread));
-
-        leaf.castShadow = true;
-        leaf.receiveShadow = true;
-        group.add(leaf);
+    // Create "clouds" of leaves at the end of branches, `lift` above and
+    // `reach` out from the branch's middle (in branch lengths; by default at the tip)
+    const { clusters } = branches;
+    const middle = origin.clone().addScaledVector(direction, length / 2);
+    const lift = length * (clusters.lift ?? Math.sin(tilt) / 2);
+    const reach = length * (clusters.reach ?? Math.cos(tilt) / 2);
+    for (let j = 0; j < clusters.count; j++) {
+        const size = range(random, clusters.size);
+
+        // Position around that point with spread (only away from the trunk if `outward`)
+        const position = middle.clone();
+        position.y += lift + (random() - 0.5) * clusters.spread;
+        if (clusters.outward) {
+            position.x += Math.cos(angle) * (reach + random() * clusters.spread);
+            position.z += Math.sin(angle) * (reach + random() * clusters.spread);
+        } else {
+            position.x += Math.cos(angle) * reach + (random() - 0.5) * clusters.spread;
+            position.z += Math.sin(angle) * reach + (random() - 0.5) * clusters.spread;
+        }
+
+        addLeaf(ctx, position, new THREE.Euler(), size);
     }
 }
 
 /**
  * Creates the massive dome of leaves at the top of the tree.
- * @param {THREE.Group} group - The tree group.
+ * @param {Object} ctx - Generation context.
  * @param {number} y - The height of the top of the trunk.
- * @param {THREE.Material} leafMat - Material for the leaves.
  */
-function addMassiveCanopy(group, y, leafMat) {
-    const canopyGroup = new THREE.Group();
-    group.add(canopyGroup);
+function addDomeCanopy(ctx, y) {
+    const { canopy } = ctx.spec;
+    const { random } = ctx;
 
-    // Create a massive dome of leaves
-    const leafCount = 800; // Very dense
-    const canopyRadius = 45;
-    const canopyHeight = 30;
-
-    for (let i = 0; i < leafCount; i++) {
-        const leafSize = 8 + Math.random() * 12; // Large, varied leaves
-        const geometry = new THREE.IcosahedronGeometry(leafSize, 0);
-        const mesh = new THREE.Mesh(geometry, leafMat);
+    for (let i = 0; i < canopy.count; i++) {
+        const size = range(random, canopy.size); // Large, varied leaves
 
         // Random position within a flattened sphere/dome
         // We want a dense core and a wider spread
-        const theta = Math.random() * Math.PI * 2;
-        const phi = Math.acos(2 * Math.random() - 1); // Uniform sphere
-        const r = Math.pow(Math.random(), 1 / 3) * canopyRadius; // Uniform volume
+        const theta = random() * Math.PI * 2;
+        const phi = Math.acos(2 * random() - 1); // Uniform sphere
+        const r = Math.pow(random(), 1 / 3) * canopy.radius; // Uniform volume
 
         // Flatten the bottom, dome the top
-        let py = r * Math.cos(phi);
-        if (py < 0) py *= 0.4; // Flatten bottom
-
-        mesh.position.x = r * Math.sin(phi) * Math.cos(theta);
-        mesh.position.z = r * Math.sin(phi) * Math.sin(theta);
-        mesh.position.y = y + py;
+        let py = r * Math.cos(phi) * canopy.yScale;
+        if (py < 0) py *= canopy.flattenBottom;
 
-        // Lift slightly to sit on top of trunk
-        mesh.position.y += 5;
+        const position = new THREE.Vector3(
+            r * Math.sin(phi) * Math.cos(theta),
+            y + py + canopy.lift,
+            r * Math.sin(phi) * Math.sin(theta)
+        );
 
         // Random rotation
-        mesh.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+        const rotation = new THREE.Euler(random() * Math.PI, random() * Math.PI, random() * Math.PI);
 
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        canopyGroup.add(mesh);
+        addLeaf(ctx, position, rotation, size);
     }
+}
+
+/**
+ * Creates a pointed crown (pine top) narrowing above the trunk.
+ * @param {Object} ctx - Generation context.
+ * @param {number} y - The height of the top of the trunk.
+ */
+function addConeCanopy(ctx, y) {
+    const { canopy } = ctx.spec;
+    const { random } = ctx;
 
-    // Add some "hanging" vines/leaves at the bottom for that floating island feel
-    for (let i = 0; i < 50; i++) {
-        const leafSize = 4 + Math.random() * 4;
-        const geometry = new THREE.IcosahedronGeometry(leafSize, 0);
-        const mesh = new THREE.Mesh(geometry, leafMat);
+    for (let i = 0; i < canopy.count; i++) {
+        const size = range(random, canopy.size);
 
-        const theta = Math.random() * Math.PI * 2;
-        const r = (Math.random() * 0.5 + 0.2) * canopyRadius; // Inner to mid radius
+        // Denser near the bottom of the cone
+        const t = 1 - Math.sqrt(random());
+        const theta = random() * Math.PI * 2;
+        const r = (1 - t) * canopy.radius * random();
 
-        mesh.position.x = r * Math.cos(theta);
-        mesh.position.z = r * Math.sin(theta);
-        mesh.position.y = y - Math.random() * 20; // Hanging down
+        const position = new THREE.Vector3(
+            r * Math.cos(theta),
+            y + canopy.lift + t * canopy.height,
+            r * Math.sin(theta)
+        );
 
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-        canopyGroup.add(mesh);
+        addLeaf(ctx, position, new THREE.Euler(0, random() * Math.PI, 0), size);
     }
 }
 
-export function loadText(treeGroup, textMeshes) {
-    const loader = new FontLoader();
-    loader.load('https://unpkg.com/three@0.160.0/examples/fonts/helvetiker_bold.typeface.json', function (font) {
-
-        const textMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
-        const detailMaterial = new THREE.MeshBasicMaterial({ color: 0xcccccc }); // Slightly dimmer for detail text
-
-        texts.forEach(item => {
-            // Main heading
-            const geometry = new TextGeometry(item.str, {
-                font: font,
-                size: 2,
-                height: 0.2,
-            });
-            geometry.center();
-
-            const mesh = new THREE.Mesh(geometry, textMaterial);
-            mesh.position.x = item.x;
-            mesh.position.y = item.y;
-            mesh.position.z = item.z;
-            mesh.lookAt(0, item.y, 0); // Face the trunk
-
-            // Mirror horizontally to fix reversed text
-            mesh.scale.x = -1;
-
-            mesh.userData.label = item.str;
-            textMeshes.push(mesh);
-            treeGroup.add(mesh);
-
-            // Detail text (smaller, below main text) - supports multiline arrays
-            if (item.detail) {
-                const lines = Array.isArray(item.detail) ? item.detail : [item.detail];
-                const lineHeight = 1.4; // Spacing between lines
-
-                lines.forEach((line, index) => {
-                    const detailGeometry = new TextGeometry(line, {
-                        font: font,
-                        size: 0.8,
-                        height: 0.1,
-                    });
-                    detailGeometry.center();
-
-                    const detailMesh = new THREE.Mesh(detailGeometry, detailMaterial);
-                    const yOffset = item.y - 2.5 - (index * lineHeight);
-                    detailMesh.position.x = item.x;
-                    detailMesh.position.y = yOffset;
-                    detailMesh.position.z = item.z;
-                    detailMesh.lookAt(0, yOffset, 0); // Face the trunk
-
-                    // Mirror horizontally to match main text
-                    detailMesh.scale.x = -1;
-
-                    detailMesh.userData.label = item.str + ` (detail ${index + 1})`;
-                    textMeshes.push(detailMesh);
-                    treeGroup.add(detailMesh);
-                });
-            }
-        });
+/**
+ * Adds leaves dangling below the canopy (vines, willow curtains).
+ * @param {Object} ctx - Generation context.
+ * @param {number} y - The height of the top of the trunk.
+ */
+function addHangingLeaves(ctx, y) {
+    const { canopy } = ctx.spec;
+    const { hanging } = canopy;
+    const { random } = ctx;
+
+    for (let i = 0; i < hanging.count; i++) {
+        const size = range(random, hanging.size);
+
+        const theta = random() * Math.PI * 2;
+        const r = range(random, hanging.radius) * canopy.radius; // Inner to mid radius
+
+        const position = new THREE.Vector3(
+            r * Math.cos(theta),
+            y - random() * hanging.drop, // Hanging down
+            r * Math.sin(theta)
+        );
+
+        addLeaf(ctx, position, new THREE.Euler(), size);
+    }
+}
+
+/**
+ * Queues one leaf instance, stretched to the species' leaf shape.
+ * @param {Object} ctx - Generation context.
+ * @param {THREE.Vector3} position - Leaf center.
+ * @param {THREE.Euler} rotation - Leaf rotation.
+ * @param {number} size - Leaf radius.
+ */
+function addLeaf(ctx, position, rotation, size) {
+    ctx.leaves.push({ position, rotation, size, stretch: ctx.spec.leaves.stretch });
+}
+
+/**
+ * Picks a random value in a [min, max] range.
+ * @param {function(): number} random - Seeded random function.
+ * @param {number[]} minMax - The range.
+ * @returns {number} The value.
+ */
+function range(random, [min, max]) {
+    return min + random() * (max - min);
+}
+
+/**
+ * Bakes an object's transform into a geometry so it can be merged.
+ * @param {THREE.BufferGeometry} geometry - Geometry in local space.
+ * @param {THREE.Object3D} transform - Object holding the position/rotation to apply.
+ * @returns {THREE.BufferGeometry} The same geometry, now in tree space.
+ */
+function bakeTransform(geometry, transform) {
+    transform.updateMatrix();
+    return geometry.applyMatrix4(transform.matrix);
+}
+
+/**
+ * Merges all bark pieces (trunk segments + branches) into one mesh.
+ * @param {THREE.BufferGeometry[]} barkParts - Geometries already in tree space.
+ * @param {THREE.Material} barkMat - Material for the bark.
+ * @returns {THREE.Mesh} The merged bark mesh.
+ */
+function createBarkMesh(barkParts, barkMat) {
+    const geometry = mergeGeometries(barkParts);
+    barkParts.forEach(part => part.dispose());
+
+    const mesh = new THREE.Mesh(geometry, barkMat);
+    mesh.name = 'bark';
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+/**
+ * Draws every leaf as an instance of one unit-sized shape scaled to its size.
+ * @param {Object[]} leaves - Leaf transforms ({ position, rotation, size, stretch }).
+ * @param {THREE.Material} leafMat - Material for the leaves.
+ * @param {string} shape - 'icosahedron', 'octahedron' or 'cone'.
+ * @returns {THREE.InstancedMesh} The leaf batch.
+ */
+function createLeafMesh(leaves, leafMat, shape) {
+    const mesh = new THREE.InstancedMesh(createLeafGeometry(shape), leafMat, leaves.length);
+    mesh.name = 'leaves';
+
+    leaves.forEach((leaf, index) => {
+        dummy.position.copy(leaf.position);
+        dummy.rotation.copy(leaf.rotation);
+        dummy.scale.fromArray(leaf.stretch).multiplyScalar(leaf.size);
+        dummy.updateMatrix();
+        mesh.setMatrixAt(index, dummy.matrix);
     });
+    dummy.scale.setScalar(1);
+
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.computeBoundingSphere();
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    return mesh;
+}
+
+/**
+ * Shared unit-sized leaf geometry for a cluster shape.
+ * @param {string} shape - 'icosahedron', 'octahedron' or 'cone'.
+ * @returns {THREE.BufferGeometry} The geometry.
+ */
+function createLeafGeometry(shape) {
+    switch (shape) {
+        case 'cone':
+            return new THREE.ConeGeometry(1, 1.5, 6);
+        case 'octahedron':
+            return new THREE.OctahedronGeometry(1, 0);
+        default:
+            return new THREE.IcosahedronGeometry(1, 0); // Low poly sphere
+    }
 }
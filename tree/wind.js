@@ -0,0 +1,124 @@
+/**
+ * tree/wind.js - Wind sway for the leaves
+ *
+ * Patches the leaf material's vertex shader so every leaf instance drifts
+ * with layered sine "noise" seeded by its position. Leaves further from the
+ * trunk and higher up move more. Each leaf moves as a whole (one offset per
+ * instance), which keeps the cost to a few sin() calls per vertex.
+ *
+ * Strength changes over time with gusts computed on the CPU, and the overall
+ * mood follows the lighting: brisk daytime breeze, calm night air.
+ */
+
+import * as THREE from 'three';
+
+// === Wind Moods ===
+// strength: base sway, gustStrength: extra sway at the peak of a gust,
+// gustFrequency: how often gusts roll through, speed: how fast leaves swing
+export const WIND_MOODS = {
+    day: { strength: 0.8, gustStrength: 1.2, gustFrequency: 0.25, speed: 1.3, direction: 0.6 },
+    night: { strength: 0.35, gustStrength: 0.4, gustFrequency: 0.1, speed: 0.7, direction: 2.2 }
+};
+
+// Shared by every patched material, so one update moves them all
+const uniforms = {
+    uWindTime: { value: 0 },
+    uWindStrength: { value: 0 },
+    uWindDirection: { value: new THREE.Vector2(1, 0) }
+};
+
+// Current settings ease toward the target so mood changes blend smoothly
+const current = { ...WIND_MOODS.day };
+let target = { ...WIND_MOODS.day };
+let phase = 0; // Accumulated sway phase (so speed changes don't jump)
+
+const WIND_SHADER = /* glsl */`
+uniform float uWindTime;
+uniform float uWindStrength;
+uniform vec2 uWindDirection;
+
+vec3 windOffset(vec3 p) {
+    // Sway grows away from the trunk and toward the top
+    float reach = clamp(length(p.xz) / 45.0 + p.y / 200.0, 0.0, 1.5);
+    float seed = dot(p.xz, vec2(0.06, 0.045)) + p.y * 0.03;
+
+    float sway = sin(uWindTime + seed) + 0.5 * sin(uWindTime * 2.1 + seed * 1.7);
+    float flutter = sin(uWindTime * 4.7 + seed * 5.0) * 0.2;
+
+    vec3 offset = vec3(uWindDirection.x, 0.0, uWindDirection.y) * (sway + flutter);
+    offset.y = flutter * 0.5;
+    return offset * uWindStrength * reach;
+}
+`;
+
+/**
+ * Patches a material so instanced leaves sway in the wind.
+ * Works for the leaf material and its matching shadow depth material.
+ * @param {THREE.Material} material - Material drawn with an InstancedMesh.
+ * @returns {THREE.Material} The same material.
+ */
+export function applyWind(material) {
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>\n${WIND_SHADER}`)
+            .replace('#include <project_vertex>', THREE.ShaderChunk.project_vertex.replace(
+                'mvPosition = modelViewMatrix * mvPosition;',
+                `#ifdef USE_INSTANCING
+                    mvPosition.xyz += windOffset(instanceMatrix[3].xyz);
+                #endif
+                mvPosition = modelViewMatrix * mvPosition;`
+            ));
+    };
+    material.customProgramCacheKey = () => 'wind';
+    return material;
+}
+
+/**
+ * Creates a depth material for leaf shadows that sways along with the leaves.
+ * @returns {THREE.MeshDepthMaterial} Material for InstancedMesh.customDepthMaterial.
+ */
+export function createWindDepthMaterial() {
+    return applyWind(new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking }));
+}
+
+/**
+ * Changes the wind settings. Unset fields keep their current target.
+ * @param {Object} settings - Any of strength, gustStrength, gustFrequency, speed, direction (radians).
+ */
+export function setWind(settings) {
+    target = { ...target, ...settings };
+}
+
+/**
+ * Switches to the day or night wind mood.
+ * @param {boolean} isDarkMode - True for the calm night mood.
+ */
+export function setWindMood(isDarkMode) {
+    setWind(isDarkMode ? WIND_MOODS.night : WIND_MOODS.day);
+}
+
+/**
+ * Advances the wind. Called once per frame from the animation loop.
+ * @param {number} time - Elapsed time in seconds.
+ * @param {number} delta - Seconds since the last frame.
+ */
+export function updateWind(time, delta) {
+    // Ease toward the target mood
+    const blend = Math.min(1, delta * 0.8);
+    Object.keys(target).forEach(key => {
+        current[key] += (target[key] - current[key]) * blend;
+    });
+
+    // Two slow waves multiplied together give irregular gusts
+    const wave = Math.sin(time * current.gustFrequency * Math.PI * 2)
+        * Math.sin(time * current.gustFrequency * 0.37 * Math.PI * 2 + 1.3);
+    const gust = Math.max(0, wave) ** 2 * current.gustStrength;
+
+    phase += delta * current.speed * (1 + gust * 0.5);
+
+    uniforms.uWindTime.value = phase;
+    uniforms.uWindStrength.value = current.strength + gust;
+    uniforms.uWindDirection.value.set(Math.cos(current.direction), Math.sin(current.direction));
+}